@@ -0,0 +1,129 @@
+(function(global) {
+  "use strict";
+  var assert = global.assert;
+
+  /**
+   * [概述]
+   * 权重初始化(initializer). 默认情况下Vol在构造时以 randn(0, sqrt(1/n)) 填充随机数, n为Vol的元素个数
+   * 层定义中可以用 init 选择其他的初始化方法, 例如 {type:'conv', sx:3, filters:16, init:'he_normal'}
+   * 只作用于权重, 偏置仍然由 bias_pref 决定
+   *
+   * [初始化方法] init 可以是名字, {type: 名字, ...参数} 形式的对象, 或者一个函数
+   *    'he_normal'      - randn(0, gain * sqrt(2 / fan_in)), 适合relu
+   *    'he_uniform'     - randf(-l, l), l = gain * sqrt(6 / fan_in)
+   *    'glorot_normal'  - randn(0, gain * sqrt(2 / (fan_in + fan_out))), 又名xavier, 适合tanh/sigmoid
+   *    'glorot_uniform' - randf(-l, l), l = gain * sqrt(6 / (fan_in + fan_out))
+   *    'orthogonal'     - 权重矩阵的行(或列)互相正交, 再乘以gain, 常用于循环层
+   *    'zeros'          - 全部为0
+   *    'constant'       - 全部为value
+   *    function(fan_in, fan_out) - 自定义, 每个权重调用一次, 返回该权重的值
+   * gain 默认为1, 'xavier_normal'/'xavier_uniform' 分别是glorot的别名
+   *
+   * [fan_in / fan_out]
+   * 由各层按自己的连接方式计算, 例如 fc: fan_in = 输入个数, fan_out = 神经元个数
+   * conv: fan_in = sx * sy * in_depth / groups, fan_out = sx * sy * out_depth / groups
+   *
+   * 通过 convnetjs.registerInitializer(name, fn) 可以注册新的初始化方法
+   * fn(rows, fan_in, fan_out, opt) 需要填充rows中的每一个数组, opt为init对象
+   */
+  // Weight initializers. A layer hands the rows of its weight matrix (e.g. one
+  // array per filter) together with its fan-in and fan-out to initWeights(), which
+  // fills them according to the init option of the layer def.
+  var initializers = {};
+
+  /** registerInitializer(name, fn) - 注册一个初始化方法, 同名则覆盖 */
+  var registerInitializer = function(name, fn) {
+    initializers[name] = fn;
+  }
+
+  // fills every entry of every row with sample()
+  var fillRows = function(rows, sample) {
+    for(var i=0;i<rows.length;i++) {
+      var r = rows[i];
+      for(var j=0;j<r.length;j++) { r[j] = sample(); }
+    }
+  }
+  var gainOf = function(opt) { return typeof opt.gain !== 'undefined' ? opt.gain : 1.0; }
+
+  var heNormal = function(rows, fan_in, fan_out, opt) {
+    var std = gainOf(opt) * Math.sqrt(2.0 / fan_in);
+    fillRows(rows, function() { return global.randn(0.0, std); });
+  }
+  var heUniform = function(rows, fan_in, fan_out, opt) {
+    var l = gainOf(opt) * Math.sqrt(6.0 / fan_in);
+    fillRows(rows, function() { return global.randf(-l, l); });
+  }
+  var glorotNormal = function(rows, fan_in, fan_out, opt) {
+    var std = gainOf(opt) * Math.sqrt(2.0 / (fan_in + fan_out));
+    fillRows(rows, function() { return global.randn(0.0, std); });
+  }
+  var glorotUniform = function(rows, fan_in, fan_out, opt) {
+    var l = gainOf(opt) * Math.sqrt(6.0 / (fan_in + fan_out));
+    fillRows(rows, function() { return global.randf(-l, l); });
+  }
+
+  // gaussian matrix made orthonormal with Gram-Schmidt. With more rows than columns
+  // only the columns can be orthonormal, so we orthonormalize the transpose instead
+  var orthogonal = function(rows, fan_in, fan_out, opt) {
+    var nr = rows.length;
+    var nc = nr > 0 ? rows[0].length : 0;
+    var transpose = nr > nc;
+    var n = transpose ? nc : nr; // number of vectors to orthonormalize
+    var m = transpose ? nr : nc; // their length
+    var vecs = [];
+    for(var i=0;i<n;i++) {
+      var v = global.zeros(m);
+      for(var j=0;j<m;j++) { v[j] = global.randn(0.0, 1.0); }
+      for(var k=0;k<i;k++) {
+        var u = vecs[k];
+        var dot = 0.0;
+        for(var j=0;j<m;j++) { dot += v[j] * u[j]; }
+        for(var j=0;j<m;j++) { v[j] -= dot * u[j]; }
+      }
+      var norm = 0.0;
+      for(var j=0;j<m;j++) { norm += v[j] * v[j]; }
+      norm = Math.sqrt(norm);
+      for(var j=0;j<m;j++) { v[j] /= norm; }
+      vecs.push(v);
+    }
+    var gain = gainOf(opt);
+    for(var i=0;i<nr;i++) {
+      for(var j=0;j<nc;j++) {
+        rows[i][j] = gain * (transpose ? vecs[j][i] : vecs[i][j]);
+      }
+    }
+  }
+
+  registerInitializer('he_normal', heNormal);
+  registerInitializer('he_uniform', heUniform);
+  registerInitializer('glorot_normal', glorotNormal);
+  registerInitializer('glorot_uniform', glorotUniform);
+  registerInitializer('xavier_normal', glorotNormal);
+  registerInitializer('xavier_uniform', glorotUniform);
+  registerInitializer('orthogonal', orthogonal);
+  registerInitializer('zeros', function(rows, fan_in, fan_out, opt) {
+    fillRows(rows, function() { return 0.0; });
+  });
+  registerInitializer('constant', function(rows, fan_in, fan_out, opt) {
+    var value = typeof opt.value !== 'undefined' ? opt.value : 0.0;
+    fillRows(rows, function() { return value; });
+  });
+
+  /** initWeights(rows, fan_in, fan_out, init) - 按init指定的方法填充权重
+   * rows为权重矩阵的行, 可以是数组或Vol的列表(例如每个滤镜一行), init为名字/对象/函数, 参见本文件开头 */
+  var initWeights = function(rows, fan_in, fan_out, init) {
+    var arrs = [];
+    for(var i=0;i<rows.length;i++) { arrs.push(typeof rows[i].w !== 'undefined' ? rows[i].w : rows[i]); }
+    rows = arrs;
+    if(typeof init === 'function') {
+      fillRows(rows, function() { return init(fan_in, fan_out); });
+      return;
+    }
+    var opt = typeof init === 'string' ? {type: init} : init;
+    assert(initializers.hasOwnProperty(opt.type), 'Error! Unknown initializer ' + opt.type);
+    initializers[opt.type](rows, fan_in, fan_out, opt);
+  }
+
+  global.registerInitializer = registerInitializer;
+  global.initWeights = initWeights;
+})(convnetjs);
@@ -0,0 +1,254 @@
+(function(global) {
+  "use strict";
+  var Vol = global.Vol; // convenience
+  var assert = global.assert;
+
+  /**
+   * [概述]
+   * 多头自注意力层(multi-head scaled dot-product self-attention), 可以和fc, 非线性层一起组成一个小型transformer
+   * 把Volume的 sx*sy 个位置看作一个序列, depth 看作每个位置的特征维度 D, 位置n = sx*y + x
+   *
+   * [数值计算]
+   * X为输入, 每一行是一个位置的特征. Q, K, V, O 四个投影都是 D x D 的矩阵加偏置
+   *    Q = X Wq + bq,  K = X Wk + bk,  V = X Wv + bv
+   * 特征按 num_heads 个头平均分开, 每个头的维度为 hd = D / num_heads, 对第h个头:
+   *    S_h = Q_h K_h^T / sqrt(hd),  P_h = softmax(S_h) (按行),  C_h = P_h V_h
+   * 所有头的C拼接后经过输出投影: A = C Wo + bo, 输出与输入尺寸相同
+   * causal:true 时第n个位置只能看到位置 0 ... n (因果mask), 用于自回归模型
+   *
+   * [数据结构]
+   * Wq, Wk, Wv, Wo 为 1 x 1 x D*D 的Volume, 元素 W.w[r*D+i] 表示从输入特征i到输出特征r的权重
+   * bq, bk, bv, bo 为 1 x 1 x D 的Volume
+   */
+  // Multi-head self-attention over the sx*sy positions of a Vol, with depth as the
+  // feature dimension. The output has the size of the input.
+
+  // Y[n][r] = sum_i W[r*Din+i] * X[n][i] + b[r], for all N rows of X
+  var project = function(X, W, b, N, Din, Dout) {
+    var Y = global.zeros(N * Dout);
+    for(var n=0;n<N;n++) {
+      for(var r=0;r<Dout;r++) {
+        var a = b[r];
+        var wix = r * Din;
+        var xix = n * Din;
+        for(var i=0;i<Din;i++) { a += W[wix+i] * X[xix+i]; }
+        Y[n*Dout+r] = a;
+      }
+    }
+    return Y;
+  }
+  // backward of project: accumulates into dW, db and dX
+  var projectBackward = function(dY, X, W, dW, db, dX, N, Din, Dout) {
+    for(var n=0;n<N;n++) {
+      for(var r=0;r<Dout;r++) {
+        var g = dY[n*Dout+r];
+        if(g === 0) { continue; }
+        db[r] += g;
+        var wix = r * Din;
+        var xix = n * Din;
+        for(var i=0;i<Din;i++) {
+          dW[wix+i] += g * X[xix+i];
+          dX[xix+i] += g * W[wix+i];
+        }
+      }
+    }
+  }
+
+  var SelfAttentionLayer = function(opt) {
+    var opt = opt || {};
+
+    // optional
+    this.num_heads = typeof opt.num_heads !== 'undefined' ? opt.num_heads : 1;
+    this.causal = typeof opt.causal !== 'undefined' ? opt.causal : false; // positions only attend to themselves and earlier ones
+    this.l1_decay_mul = typeof opt.l1_decay_mul !== 'undefined' ? opt.l1_decay_mul : 0.0;
+    this.l2_decay_mul = typeof opt.l2_decay_mul !== 'undefined' ? opt.l2_decay_mul : 1.0;
+
+    // computed
+    this.out_sx = opt.in_sx;
+    this.out_sy = opt.in_sy;
+    this.out_depth = opt.in_depth;
+    this.head_dim = Math.floor(this.out_depth / this.num_heads);
+    this.layer_type = 'attention';
+
+    // checks. every feature has to belong to a head, or it would never be attended
+    if(this.out_depth % this.num_heads > 0) {
+      assert(false, 'Error! the depth of an attention layer must be divisible by num_heads');
+    }
+
+    // initializations
+    var D = this.out_depth;
+    var scale = Math.sqrt(1.0/D);
+    var names = ['q', 'k', 'v', 'o'];
+    for(var k=0;k<names.length;k++) {
+      var W = new Vol(1, 1, D*D, 0.0);
+      for(var i=0;i<W.w.length;i++) { W.w[i] = global.randn(0.0, scale); }
+      if(typeof opt.init !== 'undefined') {
+        var rows = [];
+        for(var r=0;r<D;r++) { rows.push(W.w.subarray(r*D, (r+1)*D)); }
+        global.initWeights(rows, D, D, opt.init);
+      }
+      this['W' + names[k]] = W;
+      this['b' + names[k]] = new Vol(1, 1, D, 0.0);
+    }
+  }
+
+  SelfAttentionLayer.prototype = {
+    forward: function(V, is_training) {
+      this.in_act = V;
+      var N = V.sx * V.sy;
+      var D = this.out_depth;
+      var H = this.num_heads;
+      var hd = this.head_dim;
+      var scale = 1.0 / Math.sqrt(hd);
+
+      var Q = project(V.w, this.Wq.w, this.bq.w, N, D, D);
+      var K = project(V.w, this.Wk.w, this.bk.w, N, D, D);
+      var Vv = project(V.w, this.Wv.w, this.bv.w, N, D, D);
+
+      // attention weights of every head, P[h][n*N+m] is how much position n looks at m
+      var P = [];
+      var C = global.zeros(N * D);
+      for(var h=0;h<H;h++) {
+        var off = h * hd;
+        var Ph = global.zeros(N * N);
+        for(var n=0;n<N;n++) {
+          var last = this.causal ? n : N - 1; // positions after n are masked out
+          var amax = -Infinity;
+          for(var m=0;m<=last;m++) {
+            var s = 0.0;
+            for(var j=0;j<hd;j++) { s += Q[n*D+off+j] * K[m*D+off+j]; }
+            s *= scale;
+            Ph[n*N+m] = s;
+            if(s > amax) { amax = s; }
+          }
+          // softmax, subtracting the max for numerical stability
+          var esum = 0.0;
+          for(var m=0;m<=last;m++) {
+            var e = Math.exp(Ph[n*N+m] - amax);
+            Ph[n*N+m] = e;
+            esum += e;
+          }
+          for(var m=0;m<=last;m++) {
+            var p = Ph[n*N+m] / esum;
+            Ph[n*N+m] = p;
+            for(var j=0;j<hd;j++) { C[n*D+off+j] += p * Vv[m*D+off+j]; }
+          }
+        }
+        P.push(Ph);
+      }
+
+      var A = new Vol(this.out_sx, this.out_sy, D, 0.0);
+      A.w = project(C, this.Wo.w, this.bo.w, N, D, D);
+
+      // save for backprop
+      this.Q = Q;
+      this.K = K;
+      this.Vv = Vv;
+      this.P = P;
+      this.C = C;
+      this.out_act = A;
+      return this.out_act;
+    },
+    backward: function() {
+      var V = this.in_act;
+      V.dw = global.zeros(V.w.length); // zero out the gradient in input Vol
+      var A = this.out_act;
+      var N = V.sx * V.sy;
+      var D = this.out_depth;
+      var H = this.num_heads;
+      var hd = this.head_dim;
+      var scale = 1.0 / Math.sqrt(hd);
+
+      var dC = global.zeros(N * D);
+      projectBackward(A.dw, this.C, this.Wo.w, this.Wo.dw, this.bo.dw, dC, N, D, D);
+
+      var dQ = global.zeros(N * D);
+      var dK = global.zeros(N * D);
+      var dV = global.zeros(N * D);
+      var dP = global.zeros(N);
+      for(var h=0;h<H;h++) {
+        var off = h * hd;
+        var Ph = this.P[h];
+        for(var n=0;n<N;n++) {
+          var last = this.causal ? n : N - 1;
+          // gradient wrt the attention weights of row n, and through them wrt V
+          var pdp = 0.0;
+          for(var m=0;m<=last;m++) {
+            var p = Ph[n*N+m];
+            var g = 0.0;
+            for(var j=0;j<hd;j++) {
+              g += dC[n*D+off+j] * this.Vv[m*D+off+j];
+              dV[m*D+off+j] += p * dC[n*D+off+j];
+            }
+            dP[m] = g;
+            pdp += p * g;
+          }
+          // through the softmax into the scores, and from there into Q and K
+          for(var m=0;m<=last;m++) {
+            var ds = Ph[n*N+m] * (dP[m] - pdp) * scale;
+            if(ds === 0) { continue; }
+            for(var j=0;j<hd;j++) {
+              dQ[n*D+off+j] += ds * this.K[m*D+off+j];
+              dK[m*D+off+j] += ds * this.Q[n*D+off+j];
+            }
+          }
+        }
+      }
+
+      projectBackward(dQ, V.w, this.Wq.w, this.Wq.dw, this.bq.dw, V.dw, N, D, D);
+      projectBackward(dK, V.w, this.Wk.w, this.Wk.dw, this.bk.dw, V.dw, N, D, D);
+      projectBackward(dV, V.w, this.Wv.w, this.Wv.dw, this.bv.dw, V.dw, N, D, D);
+    },
+    getParamsAndGrads: function() {
+      var response = [];
+      var names = ['q', 'k', 'v', 'o'];
+      for(var k=0;k<names.length;k++) {
+        var W = this['W' + names[k]];
+        var b = this['b' + names[k]];
+        response.push({params: W.w, grads: W.dw, l1_decay_mul: this.l1_decay_mul, l2_decay_mul: this.l2_decay_mul});
+        response.push({params: b.w, grads: b.dw, l1_decay_mul: 0.0, l2_decay_mul: 0.0});
+      }
+      return response;
+    },
+    toJSON: function() {
+      var json = {};
+      json.out_depth = this.out_depth;
+      json.out_sx = this.out_sx;
+      json.out_sy = this.out_sy;
+      json.layer_type = this.layer_type;
+      json.num_heads = this.num_heads;
+      json.head_dim = this.head_dim;
+      json.causal = this.causal;
+      json.l1_decay_mul = this.l1_decay_mul;
+      json.l2_decay_mul = this.l2_decay_mul;
+      var names = ['q', 'k', 'v', 'o'];
+      for(var k=0;k<names.length;k++) {
+        json['W' + names[k]] = this['W' + names[k]].toJSON();
+        json['b' + names[k]] = this['b' + names[k]].toJSON();
+      }
+      return json;
+    },
+    fromJSON: function(json) {
+      this.out_depth = json.out_depth;
+      this.out_sx = json.out_sx;
+      this.out_sy = json.out_sy;
+      this.layer_type = json.layer_type;
+      this.num_heads = json.num_heads;
+      this.head_dim = json.head_dim;
+      this.causal = json.causal;
+      this.l1_decay_mul = json.l1_decay_mul;
+      this.l2_decay_mul = json.l2_decay_mul;
+      var names = ['q', 'k', 'v', 'o'];
+      for(var k=0;k<names.length;k++) {
+        var W = new Vol(0,0,0,0);
+        W.fromJSON(json['W' + names[k]]);
+        this['W' + names[k]] = W;
+        var b = new Vol(0,0,0,0);
+        b.fromJSON(json['b' + names[k]]);
+        this['b' + names[k]] = b;
+      }
+    }
+  }
+
+  global.SelfAttentionLayer = SelfAttentionLayer;
+})(convnetjs);
@@ -1,6 +1,7 @@
 (function(global) {
   "use strict";
   var Vol = global.Vol; // convenience
+  var assert = global.assert;
   
   /**
    * [成员变量]
@@ -40,6 +41,8 @@
    *    filters遍历: fy(sy) -> fx(sx) -> fd(in_depth)
    *    经过两层遍历 就完成了 out_sx x out_sy x out_depth x in_depth 上的所有数据
    * 
+   * 空洞卷积(dilation)时, 滤镜坐标(fx, fy)映射到输入上为 (x + fx*dilation_x, y + fy*dilation_y)
+   * 
    * [数值计算]
    * 此处如采用变量替换计算方法将更加清晰 A<l-1> := V, A<l> := A, f<l> := f, bias<l> := biases
    * 
@@ -67,6 +70,10 @@
    *    输入层参数 in_depth, in_sx, in_sy
    *    滤镜参数 sx, sy, filters (滤镜数)
    *    计算参数 pad - 边缘填充, stride - 步长
+   *            (x/y方向可分别用 pad_x/pad_y, stride_x/stride_y 指定, 未指定时都取pad/stride)
+   *            dilation - 空洞卷积的间隔(dilation_x/dilation_y 可分别指定), 默认为1即普通卷积
+   *            groups - 分组卷积, 输入和滤镜都分为groups组, 每个滤镜只连接本组的 in_depth/groups 个输入深度
+   *                     groups == in_depth 时即为depthwise卷积
    *    衰减项 l1_decay_mul, l2_decay_mul
    *    偏置项 bias_pref */
   var ConvLayer = function(opt) {
@@ -84,23 +91,43 @@
     this.sy = typeof opt.sy !== 'undefined' ? opt.sy : this.sx;
     this.stride = typeof opt.stride !== 'undefined' ? opt.stride : 1; // stride at which we apply filters to input volume
     this.pad = typeof opt.pad !== 'undefined' ? opt.pad : 0; // amount of 0 padding to add around borders of input volume
+    this.stride_x = typeof opt.stride_x !== 'undefined' ? opt.stride_x : this.stride;
+    this.stride_y = typeof opt.stride_y !== 'undefined' ? opt.stride_y : this.stride;
+    this.pad_x = typeof opt.pad_x !== 'undefined' ? opt.pad_x : this.pad;
+    this.pad_y = typeof opt.pad_y !== 'undefined' ? opt.pad_y : this.pad;
+    this.dilation = typeof opt.dilation !== 'undefined' ? opt.dilation : 1; // spacing between filter taps, 1 is a dense filter
+    this.dilation_x = typeof opt.dilation_x !== 'undefined' ? opt.dilation_x : this.dilation;
+    this.dilation_y = typeof opt.dilation_y !== 'undefined' ? opt.dilation_y : this.dilation;
+    this.groups = typeof opt.groups !== 'undefined' ? opt.groups : 1; // grouped convolution, groups == in_depth is depthwise
     this.l1_decay_mul = typeof opt.l1_decay_mul !== 'undefined' ? opt.l1_decay_mul : 0.0;
     this.l2_decay_mul = typeof opt.l2_decay_mul !== 'undefined' ? opt.l2_decay_mul : 1.0;
 
     // computed
     // note we are doing floor, so if the strided convolution of the filter doesnt fit into the input
     // volume exactly, the output volume will be trimmed and not contain the (incomplete) computed
-    // final application.
-    this.out_sx = Math.floor((this.in_sx + this.pad * 2 - this.sx) / this.stride + 1);
-    this.out_sy = Math.floor((this.in_sy + this.pad * 2 - this.sy) / this.stride + 1);
+    // final application. A dilated filter spans dilation*(size-1)+1 input pixels.
+    this.out_sx = Math.floor((this.in_sx + this.pad_x * 2 - (this.dilation_x * (this.sx - 1) + 1)) / this.stride_x + 1);
+    this.out_sy = Math.floor((this.in_sy + this.pad_y * 2 - (this.dilation_y * (this.sy - 1) + 1)) / this.stride_y + 1);
     this.layer_type = 'conv';
 
-    /** 初始化: 此处用filters, 注意filter里的数值是由Volume随机产生的 */
+    // checks
+    // a group has to get whole input and output depth slices, or filters would read across pixels
+    if(this.in_depth % this.groups > 0 || this.out_depth % this.groups > 0) {
+      assert(false, 'Error! in_depth and filters must be divisible by groups for conv layer');
+    }
+
+    /** 初始化: 此处用filters, 注意filter里的数值是由Volume随机产生的
+     * 分组卷积时每个滤镜的深度只有 in_depth/groups */
     // initializations
     var bias = typeof opt.bias_pref !== 'undefined' ? opt.bias_pref : 0.0;
     this.filters = [];
-    for(var i=0;i<this.out_depth;i++) { this.filters.push(new Vol(this.sx, this.sy, this.in_depth)); }
+    for(var i=0;i<this.out_depth;i++) { this.filters.push(new Vol(this.sx, this.sy, this.in_depth / this.groups)); }
     this.biases = new Vol(1, 1, this.out_depth, bias);
+    if(typeof opt.init !== 'undefined') {
+      // one filter sees sx*sy of its group's inputs, one input feeds sx*sy of its group's filters
+      var k = this.sx * this.sy;
+      global.initWeights(this.filters, k * this.in_depth / this.groups, k * this.out_depth / this.groups, opt.init);
+    }
   }
   ConvLayer.prototype = {
 
@@ -115,31 +142,36 @@
       
       var V_sx = V.sx |0;
       var V_sy = V.sy |0;
-      var xy_stride = this.stride |0;
+      var x_stride = this.stride_x |0;
+      var y_stride = this.stride_y |0;
+      var x_dil = this.dilation_x |0;
+      var y_dil = this.dilation_y |0;
 
       /** 对于out_depth, out_y, out_x 方向进行迭代 */
+      var filters_per_group = (this.out_depth / this.groups) |0;
       for(var d=0;d<this.out_depth;d++) {
         var f = this.filters[d];
-        var x = -this.pad |0;
-        var y = -this.pad |0;
-        for(var ay=0; ay<this.out_sy; y+=xy_stride,ay++) {  // xy_stride
-          x = -this.pad |0;
-          for(var ax=0; ax<this.out_sx; x+=xy_stride,ax++) {  // xy_stride
+        var fd_off = (Math.floor(d / filters_per_group) * f.depth) |0; // first input depth of the group of this filter
+        var x = -this.pad_x |0;
+        var y = -this.pad_y |0;
+        for(var ay=0; ay<this.out_sy; y+=y_stride,ay++) {  // y_stride
+          x = -this.pad_x |0;
+          for(var ax=0; ax<this.out_sx; x+=x_stride,ax++) {  // x_stride
 
             // convolve centered at this particular location
         	/** 初始化激活值=0, 后续将进行累加 */
             var a = 0.0;
             /** 对于滤镜fy, fx 进行2个方向的迭代 */
             for(var fy=0;fy<f.sy;fy++) {
-              var oy = y+fy; // coordinates in the original input array coordinates
+              var oy = y+fy*y_dil; // coordinates in the original input array coordinates
               for(var fx=0;fx<f.sx;fx++) {
-                var ox = x+fx;
+                var ox = x+fx*x_dil;
                 /** 检查如果不越界 进行深度迭代 */
                 if(oy>=0 && oy<V_sy && ox>=0 && ox<V_sx) {
                   for(var fd=0;fd<f.depth;fd++) {
                     // avoid function call overhead (x2) for efficiency, compromise modularity :(
                 	/** 层输出结果 A.w[ax, ay, d] += sum( f.w[fx, fy, fd] * V.w[ox, oy, fd] ) + biases.w[d] */
-                    a += f.w[((f.sx * fy)+fx)*f.depth+fd] * V.w[((V_sx * oy)+ox)*V.depth+fd];
+                    a += f.w[((f.sx * fy)+fx)*f.depth+fd] * V.w[((V_sx * oy)+ox)*V.depth+fd_off+fd];
                   }
                 }
               }
@@ -161,16 +193,21 @@
 
       var V_sx = V.sx |0;
       var V_sy = V.sy |0;
-      var xy_stride = this.stride |0;
+      var x_stride = this.stride_x |0;
+      var y_stride = this.stride_y |0;
+      var x_dil = this.dilation_x |0;
+      var y_dil = this.dilation_y |0;
 
       /** 对于out_depth, out_y, out_x 方向进行迭代 */
+      var filters_per_group = (this.out_depth / this.groups) |0;
       for(var d=0;d<this.out_depth;d++) {
         var f = this.filters[d];
-        var x = -this.pad |0;
-        var y = -this.pad |0;
-        for(var ay=0; ay<this.out_sy; y+=xy_stride,ay++) {  // xy_stride
-          x = -this.pad |0;
-          for(var ax=0; ax<this.out_sx; x+=xy_stride,ax++) {  // xy_stride
+        var fd_off = (Math.floor(d / filters_per_group) * f.depth) |0; // first input depth of the group of this filter
+        var x = -this.pad_x |0;
+        var y = -this.pad_y |0;
+        for(var ay=0; ay<this.out_sy; y+=y_stride,ay++) {  // y_stride
+          x = -this.pad_x |0;
+          for(var ax=0; ax<this.out_sx; x+=x_stride,ax++) {  // x_stride
 
             // convolve centered at this particular location
         	/** 注意: out_act/A作为本层(l)输出, 就是后一层(l+1)的输入in_act/V, 
@@ -178,9 +215,9 @@
             var chain_grad = this.out_act.get_grad(ax,ay,d); // gradient from above, from chain rule
             /** 对于滤镜fy, fx 进行2个方向的迭代 */
             for(var fy=0;fy<f.sy;fy++) {
-              var oy = y+fy; // coordinates in the original input array coordinates
+              var oy = y+fy*y_dil; // coordinates in the original input array coordinates
               for(var fx=0;fx<f.sx;fx++) {
-                var ox = x+fx;
+                var ox = x+fx*x_dil;
                 /** 检查如果不越界 进行深度迭代 */
                 if(oy>=0 && oy<V_sy && ox>=0 && ox<V_sx) {
                   for(var fd=0;fd<f.depth;fd++) {
@@ -188,7 +225,7 @@
                     /** 滤镜梯度 f.dw[fx, fy, fd] = sum(V.w[ox, ot, fd] * A.dw[ax, ay, d])
                 	  * 输入梯度 V.dw[ox, ot, fd] = sum(f.w[fx, fy, fd] * A.dw[ax, ay, d]) 
                 	  * V/A的梯度仅仅在层与层之间进行传递, 实际上并未参与 卷积计算 */
-                    var ix1 = ((V_sx * oy)+ox)*V.depth+fd;
+                    var ix1 = ((V_sx * oy)+ox)*V.depth+fd_off+fd;
                     var ix2 = ((f.sx * fy)+fx)*f.depth+fd;
                     f.dw[ix2] += V.w[ix1]*chain_grad;
                     V.dw[ix1] += f.w[ix2]*chain_grad;
@@ -226,6 +263,13 @@
       json.l1_decay_mul = this.l1_decay_mul;
       json.l2_decay_mul = this.l2_decay_mul;
       json.pad = this.pad;
+      json.stride_x = this.stride_x;
+      json.stride_y = this.stride_y;
+      json.pad_x = this.pad_x;
+      json.pad_y = this.pad_y;
+      json.dilation_x = this.dilation_x;
+      json.dilation_y = this.dilation_y;
+      json.groups = this.groups;
       json.filters = [];
       for(var i=0;i<this.filters.length;i++) {
         json.filters.push(this.filters[i].toJSON());
@@ -247,6 +291,15 @@
       this.l1_decay_mul = typeof json.l1_decay_mul !== 'undefined' ? json.l1_decay_mul : 1.0;
       this.l2_decay_mul = typeof json.l2_decay_mul !== 'undefined' ? json.l2_decay_mul : 1.0;
       this.pad = typeof json.pad !== 'undefined' ? json.pad : 0;
+      // backwards compatibility, older dumps only have square stride and pad and no dilation
+      this.stride_x = typeof json.stride_x !== 'undefined' ? json.stride_x : this.stride;
+      this.stride_y = typeof json.stride_y !== 'undefined' ? json.stride_y : this.stride;
+      this.pad_x = typeof json.pad_x !== 'undefined' ? json.pad_x : this.pad;
+      this.pad_y = typeof json.pad_y !== 'undefined' ? json.pad_y : this.pad;
+      this.dilation_x = typeof json.dilation_x !== 'undefined' ? json.dilation_x : 1;
+      this.dilation_y = typeof json.dilation_y !== 'undefined' ? json.dilation_y : 1;
+      this.dilation = this.dilation_x;
+      this.groups = typeof json.groups !== 'undefined' ? json.groups : 1;
       for(var i=0;i<json.filters.length;i++) {
         var v = new Vol(0,0,0,0);
         v.fromJSON(json.filters[i]);
@@ -300,6 +353,11 @@
    *    滤镜梯度 f<l>[i].dw[d]       += A<l-1>.w[d]  * A<l>.dw[i]
    *    输入梯度 A<l-1>.dw[d]        += f<l>[i].w[d] * A<l>.dw[i]
    *    偏置梯度 bias<l>.dw[i]       +=                A<l>.dw[i]
+   * 
+   * [DropConnect]
+   * drop_connect > 0 时, 训练模式下每次forward()以该概率随机丢弃每个权重(偏置不丢弃)
+   * 保留的权重乘以 1/(1-drop_connect) (inverted), 因此预测时直接使用全部权重
+   * connect_mask 存放本次forward()所用的 0 或 1/(1-drop_connect), 不使用时为null
    */
   var FullyConnLayer = function(opt) {
     var opt = opt || {};
@@ -311,23 +369,30 @@
     // optional 
     this.l1_decay_mul = typeof opt.l1_decay_mul !== 'undefined' ? opt.l1_decay_mul : 0.0;
     this.l2_decay_mul = typeof opt.l2_decay_mul !== 'undefined' ? opt.l2_decay_mul : 1.0;
+    this.drop_connect = typeof opt.drop_connect !== 'undefined' ? opt.drop_connect : 0.0; // probability to drop a weight in training
 
     // computed
     this.num_inputs = opt.in_sx * opt.in_sy * opt.in_depth;
     this.out_sx = 1;
     this.out_sy = 1;
     this.layer_type = 'fc';
+    this.connect_mask = null; // scaled mask of the weights used by the last forward, if any
 
     // initializations
     var bias = typeof opt.bias_pref !== 'undefined' ? opt.bias_pref : 0.0;
     this.filters = [];
     for(var i=0;i<this.out_depth ;i++) { this.filters.push(new Vol(1, 1, this.num_inputs)); }
     this.biases = new Vol(1, 1, this.out_depth, bias);
+    if(typeof opt.init !== 'undefined') {
+      global.initWeights(this.filters, this.num_inputs, this.out_depth, opt.init);
+    }
   }
 
   FullyConnLayer.prototype = {
     forward: function(V, is_training) {
       this.in_act = V;
+      this.connect_mask = null;
+      if(is_training && this.drop_connect > 0) { return this.forwardDropConnect(V); }
       var A = new Vol(1, 1, this.out_depth, 0.0);
       var Vw = V.w;
       for(var i=0;i<this.out_depth;i++) {
@@ -343,6 +408,7 @@
       return this.out_act;
     },
     backward: function() {
+      if(this.connect_mask !== null) { return this.backwardDropConnect(); }
       var V = this.in_act;
       V.dw = global.zeros(V.w.length); // zero out the gradient in input Vol
       
@@ -357,6 +423,44 @@
         this.biases.dw[i] += chain_grad;
       }
     },
+    /** forwardDropConnect(V) - 训练模式下的DropConnect, 每个权重乘以connect_mask中对应的值 */
+    forwardDropConnect: function(V) {
+      var A = new Vol(1, 1, this.out_depth, 0.0);
+      var n = this.num_inputs;
+      var scale = 1.0 / (1.0 - this.drop_connect); // inverted, so prediction uses the weights as they are
+      var mask = global.zeros(this.out_depth * n);
+      for(var i=0;i<this.out_depth;i++) {
+        var a = 0.0;
+        var wi = this.filters[i].w;
+        for(var d=0;d<n;d++) {
+          var m = global.random() < this.drop_connect ? 0.0 : scale;
+          mask[i*n+d] = m;
+          a += V.w[d] * wi[d] * m;
+        }
+        a += this.biases.w[i];
+        A.w[i] = a;
+      }
+      this.connect_mask = mask;
+      this.out_act = A;
+      return this.out_act;
+    },
+    backwardDropConnect: function() {
+      var V = this.in_act;
+      V.dw = global.zeros(V.w.length); // zero out the gradient in input Vol
+      var n = this.num_inputs;
+      var mask = this.connect_mask;
+      for(var i=0;i<this.out_depth;i++) {
+        var tfi = this.filters[i];
+        var chain_grad = this.out_act.dw[i];
+        for(var d=0;d<n;d++) {
+          var m = mask[i*n+d];
+          if(m === 0) { continue; } // dropped weights get no gradient
+          V.dw[d] += tfi.w[d]*m*chain_grad;
+          tfi.dw[d] += V.w[d]*m*chain_grad;
+        }
+        this.biases.dw[i] += chain_grad;
+      }
+    },
     getParamsAndGrads: function() {
       var response = [];
       for(var i=0;i<this.out_depth;i++) {
@@ -374,6 +478,7 @@
       json.num_inputs = this.num_inputs;
       json.l1_decay_mul = this.l1_decay_mul;
       json.l2_decay_mul = this.l2_decay_mul;
+      json.drop_connect = this.drop_connect;
       json.filters = [];
       for(var i=0;i<this.filters.length;i++) {
         json.filters.push(this.filters[i].toJSON());
@@ -389,6 +494,195 @@
       this.num_inputs = json.num_inputs;
       this.l1_decay_mul = typeof json.l1_decay_mul !== 'undefined' ? json.l1_decay_mul : 1.0;
       this.l2_decay_mul = typeof json.l2_decay_mul !== 'undefined' ? json.l2_decay_mul : 1.0;
+      this.drop_connect = typeof json.drop_connect !== 'undefined' ? json.drop_connect : 0.0;
+      this.connect_mask = null;
+      this.filters = [];
+      for(var i=0;i<json.filters.length;i++) {
+        var v = new Vol(0,0,0,0);
+        v.fromJSON(json.filters[i]);
+        this.filters.push(v);
+      }
+      this.biases = new Vol(0,0,0,0);
+      this.biases.fromJSON(json.biases);
+    }
+  }
+
+  /** DeconvLayer(opt) - 转置卷积层(反卷积) 构造函数, 用于放大空间尺寸
+   * 滤镜的存储方式与ConvLayer相同: filters是out_depth个 sx x sy x in_depth 的Volume
+   * 计算上相当于ConvLayer的backward()对输入的梯度: 每个输入点把 滤镜 x 输入值 "散布" 到输出上
+   * opt 参数说明
+   *    输入层参数 in_depth, in_sx, in_sy
+   *    滤镜参数 sx, sy, filters (滤镜数, 即输出深度)
+   *    计算参数 stride - 步长(即放大倍数), pad - 从输出边缘裁掉的宽度, output_padding - 在输出的右/下边额外增加的尺寸
+   *    衰减项 l1_decay_mul, l2_decay_mul
+   *    偏置项 bias_pref
+   * 
+   * 输出尺寸 out_sx = (in_sx - 1) * stride - 2 * pad + sx + output_padding
+   * 
+   * forward()计算:
+   *    A<l>.w[ix*stride-pad+fx, iy*stride-pad+fy, d] += f<l>[d].w[fx, fy, fd] * A<l-1>.w[ix, iy, fd]
+   */
+  var DeconvLayer = function(opt) {
+
+    var opt = opt || {};
+
+    // required
+    this.out_depth = opt.filters;
+    this.sx = opt.sx; // filter size
+    this.in_depth = opt.in_depth;
+    this.in_sx = opt.in_sx;
+    this.in_sy = opt.in_sy;
+
+    // optional
+    this.sy = typeof opt.sy !== 'undefined' ? opt.sy : this.sx;
+    this.stride = typeof opt.stride !== 'undefined' ? opt.stride : 2; // upsampling factor
+    this.pad = typeof opt.pad !== 'undefined' ? opt.pad : 0; // amount cropped from the borders of the output
+    this.output_padding = typeof opt.output_padding !== 'undefined' ? opt.output_padding : 0; // extra size on one side of the output
+    this.l1_decay_mul = typeof opt.l1_decay_mul !== 'undefined' ? opt.l1_decay_mul : 0.0;
+    this.l2_decay_mul = typeof opt.l2_decay_mul !== 'undefined' ? opt.l2_decay_mul : 1.0;
+
+    // computed
+    // this is the inverse of the ConvLayer output size, output_padding resolves
+    // the ambiguity of the floor there when stride > 1
+    this.out_sx = (this.in_sx - 1) * this.stride - 2 * this.pad + this.sx + this.output_padding;
+    this.out_sy = (this.in_sy - 1) * this.stride - 2 * this.pad + this.sy + this.output_padding;
+    this.layer_type = 'deconv';
+
+    // initializations
+    var bias = typeof opt.bias_pref !== 'undefined' ? opt.bias_pref : 0.0;
+    this.filters = [];
+    for(var i=0;i<this.out_depth;i++) { this.filters.push(new Vol(this.sx, this.sy, this.in_depth)); }
+    this.biases = new Vol(1, 1, this.out_depth, bias);
+    if(typeof opt.init !== 'undefined') {
+      // counted like the conv layer this one is the transpose of
+      global.initWeights(this.filters, this.sx * this.sy * this.in_depth, this.sx * this.sy * this.out_depth, opt.init);
+    }
+  }
+  DeconvLayer.prototype = {
+    forward: function(V, is_training) {
+      this.in_act = V;
+      var A = new Vol(this.out_sx |0, this.out_sy |0, this.out_depth |0, 0.0);
+
+      var V_sx = V.sx |0;
+      var V_sy = V.sy |0;
+      var A_sx = A.sx |0;
+      var A_sy = A.sy |0;
+      var stride = this.stride |0;
+
+      for(var d=0;d<this.out_depth;d++) {
+        var f = this.filters[d];
+        // scatter every input location into the output through the filter
+        for(var iy=0;iy<V_sy;iy++) {
+          var y = iy*stride - this.pad;
+          for(var ix=0;ix<V_sx;ix++) {
+            var x = ix*stride - this.pad;
+            for(var fy=0;fy<f.sy;fy++) {
+              var oy = y+fy; // coordinates in the output array
+              for(var fx=0;fx<f.sx;fx++) {
+                var ox = x+fx;
+                if(oy>=0 && oy<A_sy && ox>=0 && ox<A_sx) {
+                  var a = 0.0;
+                  for(var fd=0;fd<f.depth;fd++) {
+                    a += f.w[((f.sx * fy)+fx)*f.depth+fd] * V.w[((V_sx * iy)+ix)*V.depth+fd];
+                  }
+                  A.w[((A_sx * oy)+ox)*A.depth+d] += a;
+                }
+              }
+            }
+          }
+        }
+        for(var ay=0;ay<A_sy;ay++) {
+          for(var ax=0;ax<A_sx;ax++) {
+            A.w[((A_sx * ay)+ax)*A.depth+d] += this.biases.w[d];
+          }
+        }
+      }
+      this.out_act = A;
+      return this.out_act;
+    },
+    backward: function() {
+      var V = this.in_act;
+      V.dw = global.zeros(V.w.length); // zero out gradient wrt bottom data, we're about to fill it
+      var A = this.out_act;
+
+      var V_sx = V.sx |0;
+      var V_sy = V.sy |0;
+      var A_sx = A.sx |0;
+      var A_sy = A.sy |0;
+      var stride = this.stride |0;
+
+      for(var d=0;d<this.out_depth;d++) {
+        var f = this.filters[d];
+        for(var iy=0;iy<V_sy;iy++) {
+          var y = iy*stride - this.pad;
+          for(var ix=0;ix<V_sx;ix++) {
+            var x = ix*stride - this.pad;
+            for(var fy=0;fy<f.sy;fy++) {
+              var oy = y+fy;
+              for(var fx=0;fx<f.sx;fx++) {
+                var ox = x+fx;
+                if(oy>=0 && oy<A_sy && ox>=0 && ox<A_sx) {
+                  var chain_grad = A.dw[((A_sx * oy)+ox)*A.depth+d]; // gradient from above, from chain rule
+                  for(var fd=0;fd<f.depth;fd++) {
+                    var ix1 = ((V_sx * iy)+ix)*V.depth+fd;
+                    var ix2 = ((f.sx * fy)+fx)*f.depth+fd;
+                    f.dw[ix2] += V.w[ix1]*chain_grad;
+                    V.dw[ix1] += f.w[ix2]*chain_grad;
+                  }
+                }
+              }
+            }
+          }
+        }
+        for(var ay=0;ay<A_sy;ay++) {
+          for(var ax=0;ax<A_sx;ax++) {
+            this.biases.dw[d] += A.dw[((A_sx * ay)+ax)*A.depth+d];
+          }
+        }
+      }
+    },
+    getParamsAndGrads: function() {
+      var response = [];
+      for(var i=0;i<this.out_depth;i++) {
+        response.push({params: this.filters[i].w, grads: this.filters[i].dw, l2_decay_mul: this.l2_decay_mul, l1_decay_mul: this.l1_decay_mul});
+      }
+      response.push({params: this.biases.w, grads: this.biases.dw, l1_decay_mul: 0.0, l2_decay_mul: 0.0});
+      return response;
+    },
+    toJSON: function() {
+      var json = {};
+      json.sx = this.sx; // filter size in x, y dims
+      json.sy = this.sy;
+      json.stride = this.stride;
+      json.pad = this.pad;
+      json.output_padding = this.output_padding;
+      json.in_depth = this.in_depth;
+      json.out_depth = this.out_depth;
+      json.out_sx = this.out_sx;
+      json.out_sy = this.out_sy;
+      json.layer_type = this.layer_type;
+      json.l1_decay_mul = this.l1_decay_mul;
+      json.l2_decay_mul = this.l2_decay_mul;
+      json.filters = [];
+      for(var i=0;i<this.filters.length;i++) {
+        json.filters.push(this.filters[i].toJSON());
+      }
+      json.biases = this.biases.toJSON();
+      return json;
+    },
+    fromJSON: function(json) {
+      this.out_depth = json.out_depth;
+      this.out_sx = json.out_sx;
+      this.out_sy = json.out_sy;
+      this.layer_type = json.layer_type;
+      this.sx = json.sx; // filter size in x, y dims
+      this.sy = json.sy;
+      this.stride = json.stride;
+      this.pad = json.pad;
+      this.output_padding = json.output_padding;
+      this.in_depth = json.in_depth; // depth of input volume
+      this.l1_decay_mul = typeof json.l1_decay_mul !== 'undefined' ? json.l1_decay_mul : 1.0;
+      this.l2_decay_mul = typeof json.l2_decay_mul !== 'undefined' ? json.l2_decay_mul : 1.0;
       this.filters = [];
       for(var i=0;i<json.filters.length;i++) {
         var v = new Vol(0,0,0,0);
@@ -400,7 +694,319 @@
     }
   }
 
+  /** Conv1DLayer(opt) - 一维卷积层 构造函数, 用于时间序列(音频, 加速度计等)
+   * 输入为 in_sx(时间) x in_sy x in_depth(通道) 的Volume, 卷积只沿x轴进行, 每一行(y)单独计算, 通常 in_sy = 1
+   * 滤镜的存储方式与ConvLayer相同: filters是out_depth个 sx x 1 x in_depth 的Volume
+   * opt 参数说明
+   *    输入层参数 in_depth, in_sx, in_sy
+   *    滤镜参数 sx (滤镜宽度), filters (滤镜数, 即输出深度)
+   *    计算参数 stride - 步长, pad - 两侧的0填充, dilation - 空洞系数
+   *             causal - 因果卷积, 只在左侧填充 dilation*(sx-1), 输出的第t步只依赖于输入的第t步及之前 (此时忽略pad)
+   *    衰减项 l1_decay_mul, l2_decay_mul
+   *    偏置项 bias_pref
+   * 
+   * 输出尺寸 out_sx = floor((in_sx + pad_left + pad_right - dilation*(sx-1) - 1) / stride) + 1
+   * 
+   * forward()计算:
+   *    A<l>.w[ax, y, d] := sum( f<l>[d].w[fx, 0, fd] * A<l-1>.w[ax*stride-pad_left+fx*dilation, y, fd] ) + bias<l>.w[d]
+   */
+  var Conv1DLayer = function(opt) {
+
+    var opt = opt || {};
+
+    // required
+    this.out_depth = opt.filters;
+    this.sx = opt.sx; // filter size
+    this.in_depth = opt.in_depth;
+    this.in_sx = opt.in_sx;
+    this.in_sy = opt.in_sy;
+
+    // optional
+    this.stride = typeof opt.stride !== 'undefined' ? opt.stride : 1;
+    this.dilation = typeof opt.dilation !== 'undefined' ? opt.dilation : 1;
+    this.causal = typeof opt.causal !== 'undefined' ? opt.causal : false; // output at t only sees inputs up to t
+    this.pad = typeof opt.pad !== 'undefined' ? opt.pad : 0; // amount of 0 padding on both ends, ignored when causal
+    this.l1_decay_mul = typeof opt.l1_decay_mul !== 'undefined' ? opt.l1_decay_mul : 0.0;
+    this.l2_decay_mul = typeof opt.l2_decay_mul !== 'undefined' ? opt.l2_decay_mul : 1.0;
+
+    // computed
+    this.setPadding();
+    var span = this.dilation * (this.sx - 1) + 1; // extent of the dilated filter
+    this.out_sx = Math.floor((this.in_sx + this.pad_left + this.pad_right - span) / this.stride + 1);
+    this.out_sy = this.in_sy;
+    this.layer_type = 'conv1d';
+
+    // initializations
+    var bias = typeof opt.bias_pref !== 'undefined' ? opt.bias_pref : 0.0;
+    this.filters = [];
+    for(var i=0;i<this.out_depth;i++) { this.filters.push(new Vol(this.sx, 1, this.in_depth)); }
+    this.biases = new Vol(1, 1, this.out_depth, bias);
+    if(typeof opt.init !== 'undefined') {
+      global.initWeights(this.filters, this.sx * this.in_depth, this.sx * this.out_depth, opt.init);
+    }
+  }
+  Conv1DLayer.prototype = {
+    // causal padding goes all to the left, so no output looks into the future
+    setPadding: function() {
+      if(this.causal) {
+        this.pad_left = this.dilation * (this.sx - 1);
+        this.pad_right = 0;
+      } else {
+        this.pad_left = this.pad;
+        this.pad_right = this.pad;
+      }
+    },
+    forward: function(V, is_training) {
+      this.in_act = V;
+      var A = new Vol(this.out_sx |0, this.out_sy |0, this.out_depth |0, 0.0);
+
+      var V_sx = V.sx |0;
+      var D = V.depth |0;
+      var stride = this.stride |0;
+      var dilation = this.dilation |0;
+
+      for(var d=0;d<this.out_depth;d++) {
+        var f = this.filters[d];
+        for(var y=0;y<this.out_sy;y++) {
+          var row = V_sx * y;
+          for(var ax=0;ax<this.out_sx;ax++) {
+            var x = ax*stride - this.pad_left;
+            var a = 0.0;
+            for(var fx=0;fx<this.sx;fx++) {
+              var ox = x + fx*dilation;
+              if(ox>=0 && ox<V_sx) {
+                for(var fd=0;fd<D;fd++) {
+                  a += f.w[fx*D+fd] * V.w[(row+ox)*D+fd];
+                }
+              }
+            }
+            a += this.biases.w[d];
+            A.w[((A.sx * y)+ax)*A.depth+d] = a;
+          }
+        }
+      }
+      this.out_act = A;
+      return this.out_act;
+    },
+    backward: function() {
+      var V = this.in_act;
+      V.dw = global.zeros(V.w.length); // zero out gradient wrt bottom data, we're about to fill it
+      var A = this.out_act;
+
+      var V_sx = V.sx |0;
+      var D = V.depth |0;
+      var stride = this.stride |0;
+      var dilation = this.dilation |0;
+
+      for(var d=0;d<this.out_depth;d++) {
+        var f = this.filters[d];
+        for(var y=0;y<this.out_sy;y++) {
+          var row = V_sx * y;
+          for(var ax=0;ax<this.out_sx;ax++) {
+            var x = ax*stride - this.pad_left;
+            var chain_grad = A.dw[((A.sx * y)+ax)*A.depth+d]; // gradient from above, from chain rule
+            for(var fx=0;fx<this.sx;fx++) {
+              var ox = x + fx*dilation;
+              if(ox>=0 && ox<V_sx) {
+                for(var fd=0;fd<D;fd++) {
+                  var ix1 = (row+ox)*D+fd;
+                  var ix2 = fx*D+fd;
+                  f.dw[ix2] += V.w[ix1]*chain_grad;
+                  V.dw[ix1] += f.w[ix2]*chain_grad;
+                }
+              }
+            }
+            this.biases.dw[d] += chain_grad;
+          }
+        }
+      }
+    },
+    getParamsAndGrads: function() {
+      var response = [];
+      for(var i=0;i<this.out_depth;i++) {
+        response.push({params: this.filters[i].w, grads: this.filters[i].dw, l2_decay_mul: this.l2_decay_mul, l1_decay_mul: this.l1_decay_mul});
+      }
+      response.push({params: this.biases.w, grads: this.biases.dw, l1_decay_mul: 0.0, l2_decay_mul: 0.0});
+      return response;
+    },
+    toJSON: function() {
+      var json = {};
+      json.sx = this.sx; // filter size
+      json.stride = this.stride;
+      json.dilation = this.dilation;
+      json.causal = this.causal;
+      json.pad = this.pad;
+      json.in_depth = this.in_depth;
+      json.out_depth = this.out_depth;
+      json.out_sx = this.out_sx;
+      json.out_sy = this.out_sy;
+      json.layer_type = this.layer_type;
+      json.l1_decay_mul = this.l1_decay_mul;
+      json.l2_decay_mul = this.l2_decay_mul;
+      json.filters = [];
+      for(var i=0;i<this.filters.length;i++) {
+        json.filters.push(this.filters[i].toJSON());
+      }
+      json.biases = this.biases.toJSON();
+      return json;
+    },
+    fromJSON: function(json) {
+      this.out_depth = json.out_depth;
+      this.out_sx = json.out_sx;
+      this.out_sy = json.out_sy;
+      this.layer_type = json.layer_type;
+      this.sx = json.sx; // filter size
+      this.stride = json.stride;
+      this.dilation = json.dilation;
+      this.causal = json.causal;
+      this.pad = json.pad;
+      this.in_depth = json.in_depth; // depth of input volume
+      this.l1_decay_mul = typeof json.l1_decay_mul !== 'undefined' ? json.l1_decay_mul : 1.0;
+      this.l2_decay_mul = typeof json.l2_decay_mul !== 'undefined' ? json.l2_decay_mul : 1.0;
+      this.setPadding();
+      this.filters = [];
+      for(var i=0;i<json.filters.length;i++) {
+        var v = new Vol(0,0,0,0);
+        v.fromJSON(json.filters[i]);
+        this.filters.push(v);
+      }
+      this.biases = new Vol(0,0,0,0);
+      this.biases.fromJSON(json.biases);
+    }
+  }
+
+  /** EmbeddingLayer(opt) - 嵌入层 构造函数, 把整数id映射为可学习的向量, 避免对很大的词表做one-hot编码
+   * 输入是一个元素为整数id的Volume(例如 input层 out_sx = 序列长度, out_depth = 1), 每个id查表得到一行权重
+   * 输出尺寸 out_sx = in_sx, out_sy = in_sy, out_depth = in_depth * dim (同一位置的多个id的向量依次拼接)
+   * opt 参数说明
+   *    num_embeddings - 词表大小, id的取值范围为 0 ... num_embeddings-1 (越界的id输出0向量, 每个层只警告一次)
+   *    dim            - 每个向量的长度
+   *    衰减项 l1_decay_mul, l2_decay_mul
+   * 
+   * [稀疏梯度]
+   * 一个批次中只有出现过的id对应的行有梯度, 这些行记录在touched中, getParamsAndGrads()通过rows/row_size告诉Trainer
+   * Trainer只对这些行进行衰减和更新, 在批次结束时(endBatch)清空touched. 输入id本身没有梯度
+   * 
+   * forward()计算:
+   *    A<l>.w[x, y, k*dim+j] := W<l>.w[id*dim+j], id = A<l-1>.w[x, y, k]
+   */
+  var EmbeddingLayer = function(opt) {
+    var opt = opt || {};
+
+    // required
+    this.num_embeddings = opt.num_embeddings;
+    this.dim = opt.dim;
+
+    // optional
+    this.l1_decay_mul = typeof opt.l1_decay_mul !== 'undefined' ? opt.l1_decay_mul : 0.0;
+    this.l2_decay_mul = typeof opt.l2_decay_mul !== 'undefined' ? opt.l2_decay_mul : 1.0;
+
+    // computed
+    this.in_depth = opt.in_depth;
+    this.out_sx = opt.in_sx;
+    this.out_sy = opt.in_sy;
+    this.out_depth = this.in_depth * this.dim;
+    this.layer_type = 'embedding';
+
+    // initializations. rows are drawn from a unit gaussian, the Vol default would scale
+    // them by the size of the whole table
+    this.W = new Vol(1, 1, this.num_embeddings * this.dim, 0.0);
+    for(var i=0;i<this.W.w.length;i++) { this.W.w[i] = global.randn(0.0, 1.0); }
+    this.touched = {}; // ids of the rows that have a gradient pending for the current batch
+    this.warned_range = false; // whether an out of range id was reported already
+  }
+
+  EmbeddingLayer.prototype = {
+    // id at position i of the input, or -1 if it is not a valid row
+    getId: function(V, i) {
+      var id = Math.round(V.w[i]);
+      if(id < 0 || id >= this.num_embeddings) {
+        // warn only about the first one, this runs for every id in forward and backward
+        if(!this.warned_range) {
+          console.log('WARNING embedding id ' + V.w[i] + ' is out of range, out of range ids get a zero vector (warning only once)');
+          this.warned_range = true;
+        }
+        return -1;
+      }
+      return id;
+    },
+    forward: function(V, is_training) {
+      this.in_act = V;
+      var A = new Vol(this.out_sx, this.out_sy, this.out_depth, 0.0);
+      var dim = this.dim;
+      for(var i=0;i<V.w.length;i++) {
+        var id = this.getId(V, i);
+        if(id < 0) { continue; }
+        for(var j=0;j<dim;j++) {
+          A.w[i*dim+j] = this.W.w[id*dim+j];
+        }
+      }
+      this.out_act = A;
+      return this.out_act;
+    },
+    backward: function() {
+      var V = this.in_act;
+      V.dw = global.zeros(V.w.length); // ids are discrete, they get no gradient
+      var A = this.out_act;
+      var dim = this.dim;
+      for(var i=0;i<V.w.length;i++) {
+        var id = this.getId(V, i);
+        if(id < 0) { continue; }
+        for(var j=0;j<dim;j++) {
+          this.W.dw[id*dim+j] += A.dw[i*dim+j];
+        }
+        this.touched[id] = true;
+      }
+    },
+    // rows lists the rows with a gradient, so the trainer only has to update those
+    getParamsAndGrads: function() {
+      var rows = [];
+      for(var id in this.touched) { rows.push(parseInt(id, 10)); }
+      rows.sort(function(a, b) { return a - b; });
+      return [{params: this.W.w, grads: this.W.dw, l1_decay_mul: this.l1_decay_mul, l2_decay_mul: this.l2_decay_mul, rows: rows, row_size: this.dim}];
+    },
+    /** endBatch() - 批次的权重更新完成, 梯度已清零, 清空touched */
+    endBatch: function() {
+      this.touched = {};
+    },
+    toJSON: function() {
+      var json = {};
+      json.num_embeddings = this.num_embeddings;
+      json.dim = this.dim;
+      json.in_depth = this.in_depth;
+      json.out_depth = this.out_depth;
+      json.out_sx = this.out_sx;
+      json.out_sy = this.out_sy;
+      json.layer_type = this.layer_type;
+      json.l1_decay_mul = this.l1_decay_mul;
+      json.l2_decay_mul = this.l2_decay_mul;
+      json.W = this.W.toJSON();
+      // rows with a pending gradient, only non-empty when saved in the middle of a batch
+      json.touched = this.getParamsAndGrads()[0].rows;
+      return json;
+    },
+    fromJSON: function(json) {
+      this.num_embeddings = json.num_embeddings;
+      this.dim = json.dim;
+      this.in_depth = json.in_depth;
+      this.out_depth = json.out_depth;
+      this.out_sx = json.out_sx;
+      this.out_sy = json.out_sy;
+      this.layer_type = json.layer_type;
+      this.l1_decay_mul = json.l1_decay_mul;
+      this.l2_decay_mul = json.l2_decay_mul;
+      this.W = new Vol(0,0,0,0);
+      this.W.fromJSON(json.W);
+      this.touched = {};
+      var rows = typeof json.touched !== 'undefined' ? json.touched : [];
+      for(var i=0;i<rows.length;i++) { this.touched[rows[i]] = true; }
+    }
+  }
+
   global.ConvLayer = ConvLayer;
+  global.Conv1DLayer = Conv1DLayer;
+  global.DeconvLayer = DeconvLayer;
   global.FullyConnLayer = FullyConnLayer;
+  global.EmbeddingLayer = EmbeddingLayer;
   
 })(convnetjs);
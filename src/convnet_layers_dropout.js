@@ -2,12 +2,20 @@
   "use strict";
   var Vol = global.Vol; // convenience
 
+  /** DropoutLayer(opt) - dropout层 构造函数
+   * 训练时以drop_prob的概率把每个激活值置0, mode 决定如何补偿被丢弃的部分:
+   *    'legacy'   - (默认, 与旧版本相同) 训练时不缩放, 预测时把激活值乘以drop_prob
+   *    'inverted' - 训练时把保留的激活值乘以 1/(1-drop_prob), 预测时原样输出
+   * mode 会被保存到json中, 没有mode的旧json模型按'legacy'加载, 保持原来的行为
+   * 
+   * SpatialDropoutLayer 是它的一个变体, 丢弃整个特征图(深度切片)而不是单个激活值, 适合放在卷积层之后 */
   // An inefficient dropout layer
   // Note this is not most efficient implementation since the layer before
   // computed all these activations and now we're just going to drop them :(
   // same goes for backward pass. Also, if we wanted to be efficient at test time
   // we could equivalently be clever and upscale during train and copy pointers during test
-  // todo: make more efficient.
+  // mode 'inverted' does the upscaling during training; 'legacy' keeps the old behavior
+  // of scaling by drop_prob at test time, so that old models predict the same.
   var DropoutLayer = function(opt) {
     var opt = opt || {};
 
@@ -17,7 +25,10 @@
     this.out_depth = opt.in_depth;
     this.layer_type = 'dropout';
     this.drop_prob = typeof opt.drop_prob !== 'undefined' ? opt.drop_prob : 0.5;
+    this.mode = typeof opt.mode !== 'undefined' ? opt.mode : 'legacy'; // 'legacy' or 'inverted'
+    this.spatial = false; // drop whole depth slices instead of single activations
     this.dropped = global.zeros(this.out_sx*this.out_sy*this.out_depth);
+    this.was_training = false; // whether the last forward dropped anything
   }
   DropoutLayer.prototype = {
     forward: function(V, is_training) {
@@ -25,13 +36,22 @@
       if(typeof(is_training)==='undefined') { is_training = false; } // default is prediction mode
       var V2 = V.clone();
       var N = V.w.length;
+      this.was_training = is_training;
       if(is_training) {
-        // do dropout
+        // do dropout. In spatial mode there is one draw per depth slice, depth is the
+        // fastest changing index of a Vol so slice d holds the activations i with i % depth = d
+        var scale = this.mode === 'inverted' ? 1.0 / (1.0 - this.drop_prob) : 1.0;
+        var D = this.out_depth;
+        var drop_slice = [];
+        if(this.spatial) {
+          for(var d=0;d<D;d++) { drop_slice.push(global.random()<this.drop_prob); }
+        }
         for(var i=0;i<N;i++) {
-          if(Math.random()<this.drop_prob) { V2.w[i]=0; this.dropped[i] = true; } // drop!
-          else {this.dropped[i] = false;}
+          var drop = this.spatial ? drop_slice[i % D] : global.random()<this.drop_prob;
+          if(drop) { V2.w[i]=0; this.dropped[i] = true; } // drop!
+          else { V2.w[i]*=scale; this.dropped[i] = false; }
         }
-      } else {
+      } else if(this.mode === 'legacy') {
         // scale the activations during prediction
         for(var i=0;i<N;i++) { V2.w[i]*=this.drop_prob; }
       }
@@ -43,6 +63,14 @@
       var chain_grad = this.out_act;
       var N = V.w.length;
       V.dw = global.zeros(N); // zero out gradient wrt data
+      if(this.mode === 'inverted') {
+        // identity at prediction time, scaled copy of the kept ones in training
+        var scale = this.was_training ? 1.0 / (1.0 - this.drop_prob) : 1.0;
+        for(var i=0;i<N;i++) {
+          if(!(this.was_training && this.dropped[i])) { V.dw[i] = chain_grad.dw[i] * scale; }
+        }
+        return;
+      }
       for(var i=0;i<N;i++) {
         if(!(this.dropped[i])) { 
           V.dw[i] = chain_grad.dw[i]; // copy over the gradient
@@ -59,6 +87,7 @@
       json.out_sy = this.out_sy;
       json.layer_type = this.layer_type;
       json.drop_prob = this.drop_prob;
+      json.mode = this.mode;
       return json;
     },
     fromJSON: function(json) {
@@ -67,9 +96,30 @@
       this.out_sy = json.out_sy;
       this.layer_type = json.layer_type; 
       this.drop_prob = json.drop_prob;
+      this.mode = typeof json.mode !== 'undefined' ? json.mode : 'legacy'; // backwards compatibility
+      this.spatial = false;
+      this.dropped = global.zeros(this.out_sx*this.out_sy*this.out_depth);
+      this.was_training = false;
     }
   }
-  
+
+  // Spatial dropout drops whole feature maps (depth slices) at once, which suits conv
+  // layers whose neighboring activations are strongly correlated. Same modes as
+  // DropoutLayer, but being new it defaults to 'inverted'
+  var SpatialDropoutLayer = function(opt) {
+    var opt = opt || {};
+    DropoutLayer.call(this, {in_sx: opt.in_sx, in_sy: opt.in_sy, in_depth: opt.in_depth, drop_prob: opt.drop_prob,
+                             mode: typeof opt.mode !== 'undefined' ? opt.mode : 'inverted'});
+    this.layer_type = 'spatial_dropout';
+    this.spatial = true;
+  }
+  SpatialDropoutLayer.prototype = Object.create(DropoutLayer.prototype);
+  SpatialDropoutLayer.prototype.constructor = SpatialDropoutLayer;
+  SpatialDropoutLayer.prototype.fromJSON = function(json) {
+    DropoutLayer.prototype.fromJSON.call(this, json);
+    this.spatial = true;
+  }
 
   global.DropoutLayer = DropoutLayer;
+  global.SpatialDropoutLayer = SpatialDropoutLayer;
 })(convnetjs);
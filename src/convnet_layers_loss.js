@@ -1,8 +1,9 @@
 (function(global) {
   "use strict";
   var Vol = global.Vol; // convenience
+  var assert = global.assert;
   
-  /** 本文件中的层(SoftmaxLayer,RegressionLayer,SVMLayer)实现了损失值
+  /** 本文件中的层(SoftmaxLayer,RegressionLayer,SVMLayer,SigmoidCrossEntropyLayer,ContrastiveLayer,TripletLayer)实现了损失值
    * 目前这些层可作为初始化backward pass的入口, 将来可能可以增加更灵活系统
    * 可以加入多损失去完成多个学习任务 或类似的. 本文件中损失函数必须定义在网络的末端
    *  */
@@ -16,7 +17,14 @@
    * 分类器从输入流中计算出softmax  (指数化并进行正则化概率之和=1) 
    * 
    * 关于softmax分类器的算法, 参考: http://blog.csdn.net/pi9nc/article/details/19336629
-   * 此处输入的x为一个向量列表, 而y是一个简单的数值, 在mnist中就是0..9 */
+   * 此处输入的x为一个向量列表, 而y是一个简单的数值, 在mnist中就是0..9
+   * y也可以是长度为N的概率分布(软目标), 例如知识蒸馏中教师网络的输出
+   *
+   * 可选参数(用于类别不平衡的数据等):
+   *    class_weights   - 每个类别一个的损失权重列表, 默认为null(全部为1)
+   *    label_smoothing - 标签平滑eps, 目标变为 (1 - eps) * t + eps / N, 默认为0
+   *    focal_gamma     - focal loss的gamma, 容易分类的样本的损失乘以 (1 - p)^gamma, 默认为0
+   * 一般形式的损失为 loss = - sum_i w[i] * t[i] * (1 - p[i])^gamma * log(p[i]), t为(平滑后的)目标分布 */
   // This is a classifier, with N discrete classes from 0 to N-1
   // it gets a stream of N incoming numbers and computes the softmax
   // function (exponentiate and normalize to sum to 1 as probabilities should)
@@ -30,6 +38,16 @@
     this.out_sx = 1;
     this.out_sy = 1;
     this.layer_type = 'softmax';
+
+    // optional
+    this.class_weights = typeof opt.class_weights !== 'undefined' ? opt.class_weights : null;
+    this.label_smoothing = typeof opt.label_smoothing !== 'undefined' ? opt.label_smoothing : 0.0;
+    this.focal_gamma = typeof opt.focal_gamma !== 'undefined' ? opt.focal_gamma : 0.0;
+
+    // checks
+    if(this.class_weights !== null && this.class_weights.length !== this.out_depth) {
+      console.log('WARNING class_weights of a softmax layer should have one entry per class');
+    }
   }
 
   SoftmaxLayer.prototype = {
@@ -68,6 +86,7 @@
     },
 	/** backward(y) - 计算输入的x的每个梯度x.dw
 	 * 损失函数loss为 -log(es[y]) 是y这个分类的负最大对数似然值, 梯度为 - (y - es)
+	 * 设置了class_weights/label_smoothing/focal_gamma或y为分布时, 使用文件开头的一般形式
 	 * */
     backward: function(y) {
 
@@ -75,14 +94,44 @@
       var x = this.in_act;
       x.dw = global.zeros(x.w.length); // zero out the gradient of input Vol
 
-      for(var i=0;i<this.out_depth;i++) {
-        var indicator = i === y ? 1.0 : 0.0;
-        var mul = -(indicator - this.es[i]);
-        x.dw[i] = mul;
+      if(typeof y === 'number' && this.class_weights === null && this.label_smoothing === 0 && this.focal_gamma === 0) {
+        for(var i=0;i<this.out_depth;i++) {
+          var indicator = i === y ? 1.0 : 0.0;
+          var mul = -(indicator - this.es[i]);
+          x.dw[i] = mul;
+        }
+
+        // loss is the class negative log likelihood
+        return -Math.log(this.es[y]);
       }
 
-      // loss is the class negative log likelihood
-      return -Math.log(this.es[y]);
+      // general case: loss = -sum_i c_i * (1-p_i)^gamma * log(p_i) with c_i = w_i * t_i.
+      // writing g_i = c_i * p_i * d/dp_i[(1-p_i)^gamma * log(p_i)], the gradient
+      // wrt the inputs is dL/dx_k = -g_k + p_k * sum_i g_i
+      var N = this.out_depth;
+      var eps = this.label_smoothing;
+      var gamma = this.focal_gamma;
+      var loss = 0.0;
+      var g = global.zeros(N);
+      var gsum = 0.0;
+      for(var i=0;i<N;i++) {
+        var t = typeof y === 'number' ? (i === y ? 1.0 : 0.0) : y[i];
+        if(eps > 0) { t = (1.0 - eps) * t + eps / N; }
+        var c = this.class_weights !== null ? this.class_weights[i] * t : t;
+        if(c === 0) { continue; } // also avoids 0 * log(0)
+        var p = this.es[i];
+        var logp = Math.log(p);
+        var focal = gamma > 0 ? Math.pow(1.0 - p, gamma) : 1.0;
+        loss -= c * focal * logp;
+        var gi = focal;
+        if(gamma > 0 && p < 1.0) { gi -= gamma * Math.pow(1.0 - p, gamma - 1.0) * p * logp; }
+        g[i] = c * gi;
+        gsum += g[i];
+      }
+      for(var i=0;i<N;i++) {
+        x.dw[i] = -g[i] + this.es[i] * gsum;
+      }
+      return loss;
     },
     getParamsAndGrads: function() { 
       return [];
@@ -94,6 +143,9 @@
       json.out_sy = this.out_sy;
       json.layer_type = this.layer_type;
       json.num_inputs = this.num_inputs;
+      json.class_weights = this.class_weights;
+      json.label_smoothing = this.label_smoothing;
+      json.focal_gamma = this.focal_gamma;
       return json;
     },
     fromJSON: function(json) {
@@ -102,12 +154,24 @@
       this.out_sy = json.out_sy;
       this.layer_type = json.layer_type;
       this.num_inputs = json.num_inputs;
+      // older nets were saved without these
+      this.class_weights = typeof json.class_weights !== 'undefined' ? json.class_weights : null;
+      this.label_smoothing = typeof json.label_smoothing !== 'undefined' ? json.label_smoothing : 0.0;
+      this.focal_gamma = typeof json.focal_gamma !== 'undefined' ? json.focal_gamma : 0.0;
     }
   }
 
+  /** 回归层, 每个维度的损失由 loss 选择, d = x[i] - y[i]:
+   *    'l2'        - 0.5 * d^2 (默认)
+   *    'l1'        - |d|
+   *    'huber'     - |d| <= delta 时为 0.5 * d^2, 否则为 delta * (|d| - 0.5 * delta), 对离群值不敏感
+   *    'smooth_l1' - |d| < delta 时为 0.5 * d^2 / delta, 否则为 |d| - 0.5 * delta
+   *    'quantile'  - pinball损失, 预测值为y的quantile分位数(默认0.5, 即中位数)
+   * delta 默认为1 */
   // implements an L2 regression cost layer,
   // so penalizes \sum_i(||x_i - y_i||^2), where x is its input
   // and y is the user-provided array of "correct" values.
+  // other per-dimension losses can be chosen with opt.loss (see above)
   var RegressionLayer = function(opt) {
     var opt = opt || {};
 
@@ -117,6 +181,18 @@
     this.out_sx = 1;
     this.out_sy = 1;
     this.layer_type = 'regression';
+
+    // optional
+    this.loss = typeof opt.loss !== 'undefined' ? opt.loss : 'l2';
+    this.delta = typeof opt.delta !== 'undefined' ? opt.delta : 1.0; // for huber and smooth_l1
+    this.quantile = typeof opt.quantile !== 'undefined' ? opt.quantile : 0.5; // for quantile
+
+    // checks
+    var losses = ['l2', 'l1', 'huber', 'smooth_l1', 'quantile'];
+    if(losses.indexOf(this.loss) === -1) {
+      console.log('WARNING unknown regression loss ' + this.loss + ', falling back to l2');
+      this.loss = 'l2';
+    }
   }
 
   RegressionLayer.prototype = {
@@ -125,10 +201,42 @@
       this.out_act = V;
       return V; // identity function
     },
+    /** lossAt(x, i, yi) - 第i维的损失, 同时写入梯度x.dw[i] */
+    // loss of dimension i against target yi, writes the gradient into x.dw[i]
+    lossAt: function(x, i, yi) {
+      var dy = x.w[i] - yi;
+      var ady = Math.abs(dy);
+      var sgn = dy > 0 ? 1.0 : (dy < 0 ? -1.0 : 0.0);
+      var delta = this.delta;
+      switch(this.loss) {
+        case 'l1':
+          x.dw[i] = sgn;
+          return ady;
+        case 'huber':
+          if(ady <= delta) { x.dw[i] = dy; return 0.5*dy*dy; }
+          x.dw[i] = delta * sgn;
+          return delta * (ady - 0.5*delta);
+        case 'smooth_l1':
+          if(ady < delta) { x.dw[i] = dy / delta; return 0.5*dy*dy / delta; }
+          x.dw[i] = sgn;
+          return ady - 0.5*delta;
+        case 'quantile':
+          // under-predictions cost quantile, over-predictions cost 1 - quantile
+          var q = this.quantile;
+          if(dy < 0) { x.dw[i] = -q; return -q * dy; }
+          x.dw[i] = 1.0 - q;
+          return (1.0 - q) * dy;
+        default:
+          x.dw[i] = dy;
+          return 0.5*dy*dy;
+      }
+    },
     // y is a list here of size num_inputs
     // or it can be a number if only one value is regressed
     // or it can be a struct {dim: i, val: x} where we only want to 
     // regress on dimension i and asking it to have value x
+    // or it can be a struct {val: list, mask: list} where we only regress
+    // the dimensions i with a truthy mask[i] towards val[i]
     backward: function(y) { 
 
       // compute and accumulate gradient wrt weights and bias of this layer
@@ -137,23 +245,20 @@
       var loss = 0.0;
       if(y instanceof Array || y instanceof Float64Array) {
         for(var i=0;i<this.out_depth;i++) {
-          var dy = x.w[i] - y[i];
-          x.dw[i] = dy;
-          loss += 0.5*dy*dy;
+          loss += this.lossAt(x, i, y[i]);
         }
       } else if(typeof y === 'number') {
         // lets hope that only one number is being regressed
-        var dy = x.w[0] - y;
-        x.dw[0] = dy;
-        loss += 0.5*dy*dy;
+        loss += this.lossAt(x, 0, y);
+      } else if(typeof y.mask !== 'undefined') {
+        // masked dimensions get no gradient and no loss
+        for(var i=0;i<this.out_depth;i++) {
+          if(y.mask[i]) { loss += this.lossAt(x, i, y.val[i]); }
+        }
       } else {
         // assume it is a struct with entries .dim and .val
         // and we pass gradient only along dimension dim to be equal to val
-        var i = y.dim;
-        var yi = y.val;
-        var dy = x.w[i] - yi;
-        x.dw[i] = dy;
-        loss += 0.5*dy*dy;
+        loss += this.lossAt(x, y.dim, y.val);
       }
       return loss;
     },
@@ -167,6 +272,9 @@
       json.out_sy = this.out_sy;
       json.layer_type = this.layer_type;
       json.num_inputs = this.num_inputs;
+      json.loss = this.loss;
+      json.delta = this.delta;
+      json.quantile = this.quantile;
       return json;
     },
     fromJSON: function(json) {
@@ -175,9 +283,22 @@
       this.out_sy = json.out_sy;
       this.layer_type = json.layer_type;
       this.num_inputs = json.num_inputs;
+      // older nets were saved without these
+      this.loss = typeof json.loss !== 'undefined' ? json.loss : 'l2';
+      this.delta = typeof json.delta !== 'undefined' ? json.delta : 1.0;
+      this.quantile = typeof json.quantile !== 'undefined' ? json.quantile : 0.5;
     }
   }
 
+  /** SVM分类器, 输出为每个类别的原始得分, 预测时取得分最高的类别(Net.getPrediction)
+   * 可选参数:
+   *    margin  - 间隔, 默认为1
+   *    squared - true时使用平方hinge损失 max(0, .)^2, 默认为false
+   *    mode    - 'multiclass' (默认): 正确类别的得分要比其他每个类别都高出margin, 违反的部分求和
+   *              'one_vs_all': 每个类别一个二分类器, 正确类别得分要高于margin, 其他类别要低于-margin */
+  // SVM classifier on raw class scores. The margin is configurable, the hinge can be
+  // squared, and mode picks between the multiclass (sum of violations against the
+  // correct class) and the one-vs-all formulation (an independent binary SVM per class).
   var SVMLayer = function(opt) {
     var opt = opt || {};
 
@@ -187,6 +308,17 @@
     this.out_sx = 1;
     this.out_sy = 1;
     this.layer_type = 'svm';
+
+    // optional
+    this.margin = typeof opt.margin !== 'undefined' ? opt.margin : 1.0;
+    this.squared = typeof opt.squared !== 'undefined' ? opt.squared : false;
+    this.mode = typeof opt.mode !== 'undefined' ? opt.mode : 'multiclass';
+
+    // checks
+    if(this.mode !== 'multiclass' && this.mode !== 'one_vs_all') {
+      console.log('WARNING unknown svm mode ' + this.mode + ', falling back to multiclass');
+      this.mode = 'multiclass';
+    }
   }
 
   SVMLayer.prototype = {
@@ -201,20 +333,46 @@
       var x = this.in_act;
       x.dw = global.zeros(x.w.length); // zero out the gradient of input Vol
 
+      var margin = this.margin;
+      var loss = 0.0;
+
+      if(this.mode === 'one_vs_all') {
+        // every class is a binary problem with label +1 for the ground truth and -1
+        // otherwise, and wants its score on the right side of the margin
+        for(var i=0;i<this.out_depth;i++) {
+          var t = y === i ? 1.0 : -1.0;
+          var viol = margin - t * x.w[i];
+          if(viol > 0) {
+            if(this.squared) {
+              x.dw[i] = -2.0 * t * viol;
+              loss += viol * viol;
+            } else {
+              x.dw[i] = -t;
+              loss += viol;
+            }
+          }
+        }
+        return loss;
+      }
+
       // we're using structured loss here, which means that the score
       // of the ground truth should be higher than the score of any other 
       // class, by a margin
       var yscore = x.w[y]; // score of ground truth
-      var margin = 1.0;
-      var loss = 0.0;
       for(var i=0;i<this.out_depth;i++) {
         if(y === i) { continue; }
         var ydiff = -yscore + x.w[i] + margin;
         if(ydiff > 0) {
           // violating dimension, apply loss
-          x.dw[i] += 1;
-          x.dw[y] -= 1;
-          loss += ydiff;
+          if(this.squared) {
+            x.dw[i] += 2.0 * ydiff;
+            x.dw[y] -= 2.0 * ydiff;
+            loss += ydiff * ydiff;
+          } else {
+            x.dw[i] += 1;
+            x.dw[y] -= 1;
+            loss += ydiff;
+          }
         }
       }
 
@@ -230,6 +388,84 @@
       json.out_sy = this.out_sy;
       json.layer_type = this.layer_type;
       json.num_inputs = this.num_inputs;
+      json.margin = this.margin;
+      json.squared = this.squared;
+      json.mode = this.mode;
+      return json;
+    },
+    fromJSON: function(json) {
+      this.out_depth = json.out_depth;
+      this.out_sx = json.out_sx;
+      this.out_sy = json.out_sy;
+      this.layer_type = json.layer_type;
+      this.num_inputs = json.num_inputs;
+      // older nets were saved without these
+      this.margin = typeof json.margin !== 'undefined' ? json.margin : 1.0;
+      this.squared = typeof json.squared !== 'undefined' ? json.squared : false;
+      this.mode = typeof json.mode !== 'undefined' ? json.mode : 'multiclass';
+    }
+  }
+  /** 多标签分类器, 每个类别独立地用sigmoid给出概率, 一个样本可以同时属于多个类别
+   * backward(y)中的y为长度num_classes的0/1向量, 损失为每个类别的二元交叉熵之和
+   *    loss = sum_i -( pos_weight[i] * y[i] * log(p[i]) + (1 - y[i]) * log(1 - p[i]) )
+   * pos_weight 为正样本的权重(数值或每个类别一个的列表, 默认为1), 用于正样本很少的类别
+   * 预测时可以用 Net.getPredictedLabels(threshold) 取出概率超过阈值的所有类别 */
+  // Multi-label classifier: every one of the N inputs is an independent logit, the
+  // output is its sigmoid. Takes a 0/1 target vector, the loss is binary cross-entropy
+  // summed over classes, with positives of class i weighted by pos_weight[i].
+  var SigmoidCrossEntropyLayer = function(opt) {
+    var opt = opt || {};
+
+    // computed
+    this.num_inputs = opt.in_sx * opt.in_sy * opt.in_depth;
+    this.out_depth = this.num_inputs;
+    this.out_sx = 1;
+    this.out_sy = 1;
+    this.layer_type = 'sigmoid_ce';
+
+    // optional
+    this.pos_weight = typeof opt.pos_weight !== 'undefined' ? opt.pos_weight : 1.0; // number or a list with one per class
+  }
+
+  // log(1 + e^x), without overflow for large x
+  var softplus = function(x) {
+    return x > 0 ? x + Math.log(1.0 + Math.exp(-x)) : Math.log(1.0 + Math.exp(x));
+  }
+
+  SigmoidCrossEntropyLayer.prototype = {
+    forward: function(V, is_training) {
+      this.in_act = V;
+      var A = new Vol(1, 1, this.out_depth, 0.0);
+      for(var i=0;i<this.out_depth;i++) {
+        A.w[i] = 1.0/(1.0+Math.exp(-V.w[i]));
+      }
+      this.out_act = A;
+      return this.out_act;
+    },
+    backward: function(y) {
+      var x = this.in_act;
+      x.dw = global.zeros(x.w.length); // zero out the gradient of input Vol
+      var loss = 0.0;
+      for(var i=0;i<this.out_depth;i++) {
+        var pw = typeof this.pos_weight === 'number' ? this.pos_weight : this.pos_weight[i];
+        var p = this.out_act.w[i];
+        // log(p) = -softplus(-x) and log(1-p) = -softplus(x), stable for large |x|
+        loss += pw * y[i] * softplus(-x.w[i]) + (1.0 - y[i]) * softplus(x.w[i]);
+        x.dw[i] = p * (pw * y[i] + 1.0 - y[i]) - pw * y[i];
+      }
+      return loss;
+    },
+    getParamsAndGrads: function() { 
+      return [];
+    },
+    toJSON: function() {
+      var json = {};
+      json.out_depth = this.out_depth;
+      json.out_sx = this.out_sx;
+      json.out_sy = this.out_sy;
+      json.layer_type = this.layer_type;
+      json.num_inputs = this.num_inputs;
+      json.pos_weight = this.pos_weight;
       return json;
     },
     fromJSON: function(json) {
@@ -238,11 +474,124 @@
       this.out_sy = json.out_sy;
       this.layer_type = json.layer_type;
       this.num_inputs = json.num_inputs;
+      this.pos_weight = json.pos_weight;
     }
   }
+
+  /** 度量学习(metric learning)的损失层: ContrastiveLayer 和 TripletLayer
+   * 这两个层的输入为嵌入向量(embedding), 前向为恒等映射, 训练好的网络直接用forward()得到嵌入向量做最近邻查找
+   * 损失取决于同一个网络(共享权重)对多个输入的输出, 因此不能用 train(x, y) 训练, 而是用
+   * Trainer.trainGroup(xs, y) / Net.forwardGroup(Vs) + Net.backwardGroup(y) 对一组输入计算
+   * groupLoss(acts, y) 由Net调用, acts为每次前向时本层的输入Vol, 返回loss和对每个输入的梯度
+   *
+   * 'contrastive' - 孪生网络(siamese), xs = [a, b], y为1(相似)或0(不相似), d为a和b的欧氏距离
+   *    相似: loss = 0.5 * d^2,  不相似: loss = 0.5 * max(0, margin - d)^2
+   * 'triplet'     - xs = [anchor, positive, negative], 不需要目标值(多个头时给出任意非undefined值, 例如true)
+   *    loss = max(0, |anchor - positive|^2 - |anchor - negative|^2 + margin)
+   * margin 默认为1 */
+  // Metric learning losses over the embeddings a net computes for a group of inputs
+  // with shared weights. Forward is the identity, the loss is computed by groupLoss()
+  // once the whole group went through the net, see Net.backwardGroup.
+  var initMetricLoss = function(L, opt, type) {
+    // computed
+    L.num_inputs = opt.in_sx * opt.in_sy * opt.in_depth;
+    L.out_depth = L.num_inputs;
+    L.out_sx = 1;
+    L.out_sy = 1;
+    L.layer_type = type;
+
+    // optional
+    L.margin = typeof opt.margin !== 'undefined' ? opt.margin : 1.0;
+  }
+
+  var metricLossPrototype = function(groupLoss) {
+    return {
+      forward: function(V, is_training) {
+        this.in_act = V;
+        this.out_act = V;
+        return V; // identity function
+      },
+      backward: function(y) {
+        assert(false, 'Error! ' + this.layer_type + ' loss needs a group of inputs, use Trainer.trainGroup or Net.backwardGroup');
+      },
+      groupLoss: groupLoss,
+      getParamsAndGrads: function() {
+        return [];
+      },
+      toJSON: function() {
+        var json = {};
+        json.out_depth = this.out_depth;
+        json.out_sx = this.out_sx;
+        json.out_sy = this.out_sy;
+        json.layer_type = this.layer_type;
+        json.num_inputs = this.num_inputs;
+        json.margin = this.margin;
+        return json;
+      },
+      fromJSON: function(json) {
+        this.out_depth = json.out_depth;
+        this.out_sx = json.out_sx;
+        this.out_sy = json.out_sy;
+        this.layer_type = json.layer_type;
+        this.num_inputs = json.num_inputs;
+        this.margin = json.margin;
+      }
+    }
+  }
+
+  var ContrastiveLayer = function(opt) {
+    initMetricLoss(this, opt || {}, 'contrastive');
+  }
+  ContrastiveLayer.prototype = metricLossPrototype(function(acts, y) {
+    assert(acts.length === 2, 'Error! contrastive loss needs a group of 2 inputs');
+    var a = acts[0].w, b = acts[1].w;
+    var N = this.num_inputs;
+    var da = global.zeros(N), db = global.zeros(N);
+    var d2 = 0.0;
+    for(var i=0;i<N;i++) { d2 += (a[i] - b[i]) * (a[i] - b[i]); }
+    if(y) {
+      // similar pair: pull together
+      for(var i=0;i<N;i++) { da[i] = a[i] - b[i]; db[i] = -da[i]; }
+      return {loss: 0.5 * d2, grads: [da, db]};
+    }
+    // dissimilar pair: push apart until they are margin away
+    var d = Math.sqrt(d2);
+    if(d >= this.margin) { return {loss: 0.0, grads: [da, db]}; }
+    if(d > 0) {
+      var mul = -(this.margin - d) / d;
+      for(var i=0;i<N;i++) { da[i] = mul * (a[i] - b[i]); db[i] = -da[i]; }
+    }
+    return {loss: 0.5 * (this.margin - d) * (this.margin - d), grads: [da, db]};
+  });
+
+  var TripletLayer = function(opt) {
+    initMetricLoss(this, opt || {}, 'triplet');
+  }
+  TripletLayer.prototype = metricLossPrototype(function(acts, y) {
+    assert(acts.length === 3, 'Error! triplet loss needs a group of 3 inputs (anchor, positive, negative)');
+    var a = acts[0].w, p = acts[1].w, n = acts[2].w;
+    var N = this.num_inputs;
+    var da = global.zeros(N), dp = global.zeros(N), dn = global.zeros(N);
+    var dap = 0.0, dan = 0.0;
+    for(var i=0;i<N;i++) {
+      dap += (a[i] - p[i]) * (a[i] - p[i]);
+      dan += (a[i] - n[i]) * (a[i] - n[i]);
+    }
+    var loss = dap - dan + this.margin;
+    if(loss <= 0) { return {loss: 0.0, grads: [da, dp, dn]}; } // negative is far enough already
+    for(var i=0;i<N;i++) {
+      da[i] = 2.0 * (n[i] - p[i]);
+      dp[i] = 2.0 * (p[i] - a[i]);
+      dn[i] = 2.0 * (a[i] - n[i]);
+    }
+    return {loss: loss, grads: [da, dp, dn]};
+  });
   
   global.RegressionLayer = RegressionLayer;
   global.SoftmaxLayer = SoftmaxLayer;
   global.SVMLayer = SVMLayer;
+  global.SigmoidCrossEntropyLayer = SigmoidCrossEntropyLayer;
+  global.ContrastiveLayer = ContrastiveLayer;
+  global.TripletLayer = TripletLayer;
 
 })(convnetjs);
@@ -0,0 +1,157 @@
+(function(global) {
+  "use strict";
+  var Vol = global.Vol; // convenience
+
+  /** 本文件中的层(AddLayer, ConcatLayer)有多个输入, 用于在网络中合并多个分支
+   * 它们的forward()接收一个Vol列表, 列表的顺序即层定义中input的顺序
+   * 参见 Net.makeLayers 中关于网络拓扑的说明 */
+  // Layers that merge several branches of a net. They are flagged with
+  // multi_input so that Net.forward hands them the list of their input Vols,
+  // in the order of the input names of their layer def.
+
+  // Elementwise sum of all inputs, e.g. the skip connection of a residual
+  // block. All inputs must have the same size.
+  var AddLayer = function(opt) {
+    var opt = opt || {};
+
+    // computed
+    this.out_sx = opt.in_sx;
+    this.out_sy = opt.in_sy;
+    this.out_depth = opt.in_depth;
+    this.num_inputs = typeof opt.in_depths !== 'undefined' ? opt.in_depths.length : 2;
+    this.layer_type = 'add';
+    this.multi_input = true;
+
+    // checks
+    if(typeof opt.in_depths !== 'undefined') {
+      for(var i=0;i<opt.in_depths.length;i++) {
+        if(opt.in_sxs[i] !== this.out_sx || opt.in_sys[i] !== this.out_sy || opt.in_depths[i] !== this.out_depth) {
+          console.log('WARNING all inputs of an add layer should have the same size');
+        }
+      }
+    }
+  }
+  AddLayer.prototype = {
+    forward: function(Vs, is_training) {
+      this.in_act = Vs;
+      var A = Vs[0].clone();
+      for(var k=1;k<Vs.length;k++) { A.addFrom(Vs[k]); }
+      this.out_act = A;
+      return this.out_act;
+    },
+    backward: function() {
+      var Vs = this.in_act;
+      var A = this.out_act;
+      var N = A.w.length;
+      // zero out all first: the same Vol may be given as input more than once
+      for(var k=0;k<Vs.length;k++) { Vs[k].dw = global.zeros(N); }
+      for(var k=0;k<Vs.length;k++) {
+        var V = Vs[k];
+        for(var i=0;i<N;i++) { V.dw[i] += A.dw[i]; }
+      }
+    },
+    getParamsAndGrads: function() {
+      return [];
+    },
+    toJSON: function() {
+      var json = {};
+      json.out_depth = this.out_depth;
+      json.out_sx = this.out_sx;
+      json.out_sy = this.out_sy;
+      json.layer_type = this.layer_type;
+      json.num_inputs = this.num_inputs;
+      return json;
+    },
+    fromJSON: function(json) {
+      this.out_depth = json.out_depth;
+      this.out_sx = json.out_sx;
+      this.out_sy = json.out_sy;
+      this.layer_type = json.layer_type;
+      this.num_inputs = json.num_inputs;
+      this.multi_input = true;
+    }
+  }
+
+  // Concatenation of all inputs along depth, e.g. the branches of an inception
+  // block. All inputs must have the same width and height.
+  var ConcatLayer = function(opt) {
+    var opt = opt || {};
+
+    // computed
+    this.in_depths = typeof opt.in_depths !== 'undefined' ? opt.in_depths : [];
+    this.out_sx = opt.in_sx;
+    this.out_sy = opt.in_sy;
+    this.out_depth = 0;
+    for(var i=0;i<this.in_depths.length;i++) { this.out_depth += this.in_depths[i]; }
+    this.layer_type = 'concat';
+    this.multi_input = true;
+
+    // checks
+    for(var i=0;i<this.in_depths.length;i++) {
+      if(opt.in_sxs[i] !== this.out_sx || opt.in_sys[i] !== this.out_sy) {
+        console.log('WARNING all inputs of a concat layer should have the same width and height');
+      }
+    }
+  }
+  ConcatLayer.prototype = {
+    forward: function(Vs, is_training) {
+      this.in_act = Vs;
+      var A = new Vol(this.out_sx, this.out_sy, this.out_depth, 0.0);
+      var npos = this.out_sx * this.out_sy;
+      var off = 0; // depth offset of the current input in the output
+      for(var k=0;k<Vs.length;k++) {
+        var V = Vs[k];
+        var D = V.depth;
+        for(var p=0;p<npos;p++) {
+          for(var d=0;d<D;d++) {
+            A.w[p*this.out_depth+off+d] = V.w[p*D+d];
+          }
+        }
+        off += D;
+      }
+      this.out_act = A;
+      return this.out_act;
+    },
+    backward: function() {
+      var Vs = this.in_act;
+      var A = this.out_act;
+      var npos = this.out_sx * this.out_sy;
+      // zero out all first: the same Vol may be given as input more than once
+      for(var k=0;k<Vs.length;k++) { Vs[k].dw = global.zeros(Vs[k].w.length); }
+      var off = 0;
+      for(var k=0;k<Vs.length;k++) {
+        var V = Vs[k];
+        var D = V.depth;
+        for(var p=0;p<npos;p++) {
+          for(var d=0;d<D;d++) {
+            V.dw[p*D+d] += A.dw[p*this.out_depth+off+d];
+          }
+        }
+        off += D;
+      }
+    },
+    getParamsAndGrads: function() {
+      return [];
+    },
+    toJSON: function() {
+      var json = {};
+      json.out_depth = this.out_depth;
+      json.out_sx = this.out_sx;
+      json.out_sy = this.out_sy;
+      json.layer_type = this.layer_type;
+      json.in_depths = this.in_depths;
+      return json;
+    },
+    fromJSON: function(json) {
+      this.out_depth = json.out_depth;
+      this.out_sx = json.out_sx;
+      this.out_sy = json.out_sy;
+      this.layer_type = json.layer_type;
+      this.in_depths = json.in_depths;
+      this.multi_input = true;
+    }
+  }
+
+  global.AddLayer = AddLayer;
+  global.ConcatLayer = ConcatLayer;
+})(convnetjs);
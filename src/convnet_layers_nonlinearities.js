@@ -1,6 +1,7 @@
 (function(global) {
   "use strict";
   var Vol = global.Vol; // convenience
+  var tanh = global.tanh; // overflow safe, see convnet_util.js
   
   // Implements ReLU nonlinearity elementwise
   // x -> max(0, x)
@@ -229,11 +230,6 @@
     }
   }
 
-  // a helper function, since tanh is not yet part of ECMAScript. Will be in v6.
-  function tanh(x) {
-    var y = Math.exp(2 * x);
-    return (y - 1) / (y + 1);
-  }
   // Implements Tanh nnonlinearity elementwise
   // x -> tanh(x) 
   // so the output is between -1 and 1.
@@ -285,10 +281,263 @@
       this.layer_type = json.layer_type; 
     }
   }
+
+  /** 以下激活层(leaky_relu, elu, selu, gelu, swish, softplus)都是逐元素计算, 没有可学习的参数
+   * 它们共用同一套forward/backward/序列化, 只是 f(x) 和导数 df(x, y) 不同 (y = f(x))
+   * hyper 为需要保存到json中的超参数名 */
+  // Elementwise activations without parameters share their prototype: f maps the
+  // input to the output, df(x, y) is the derivative at x given the output y = f(x).
+  // hyper lists the fields that are saved to JSON besides the sizes.
+  var elementwisePrototype = function(f, df, hyper) {
+    return {
+      forward: function(V, is_training) {
+        this.in_act = V;
+        var V2 = V.cloneAndZero();
+        var N = V.w.length;
+        for(var i=0;i<N;i++) {
+          V2.w[i] = f.call(this, V.w[i]);
+        }
+        this.out_act = V2;
+        return this.out_act;
+      },
+      backward: function() {
+        var V = this.in_act; // we need to set dw of this
+        var V2 = this.out_act;
+        var N = V.w.length;
+        V.dw = global.zeros(N); // zero out gradient wrt data
+        for(var i=0;i<N;i++) {
+          V.dw[i] = df.call(this, V.w[i], V2.w[i]) * V2.dw[i];
+        }
+      },
+      getParamsAndGrads: function() {
+        return [];
+      },
+      toJSON: function() {
+        var json = {};
+        json.out_depth = this.out_depth;
+        json.out_sx = this.out_sx;
+        json.out_sy = this.out_sy;
+        json.layer_type = this.layer_type;
+        for(var k=0;k<hyper.length;k++) { json[hyper[k]] = this[hyper[k]]; }
+        return json;
+      },
+      fromJSON: function(json) {
+        this.out_depth = json.out_depth;
+        this.out_sx = json.out_sx;
+        this.out_sy = json.out_sy;
+        this.layer_type = json.layer_type;
+        for(var k=0;k<hyper.length;k++) { this[hyper[k]] = json[hyper[k]]; }
+      }
+    };
+  }
+
+  // Implements Leaky ReLU nonlinearity elementwise
+  // x -> x if x > 0, alpha * x otherwise
+  var LeakyReluLayer = function(opt) {
+    var opt = opt || {};
+
+    // optional
+    this.alpha = typeof opt.alpha !== 'undefined' ? opt.alpha : 0.01; // slope of the negative part
+
+    // computed
+    this.out_sx = opt.in_sx;
+    this.out_sy = opt.in_sy;
+    this.out_depth = opt.in_depth;
+    this.layer_type = 'leaky_relu';
+  }
+  LeakyReluLayer.prototype = elementwisePrototype(
+    function(x) { return x > 0 ? x : this.alpha * x; },
+    function(x, y) { return x > 0 ? 1.0 : this.alpha; },
+    ['alpha']);
+
+  // Implements ELU nonlinearity elementwise
+  // x -> x if x > 0, alpha * (e^x - 1) otherwise
+  var EluLayer = function(opt) {
+    var opt = opt || {};
+
+    // optional
+    this.alpha = typeof opt.alpha !== 'undefined' ? opt.alpha : 1.0; // value the negative part saturates to is -alpha
+
+    // computed
+    this.out_sx = opt.in_sx;
+    this.out_sy = opt.in_sy;
+    this.out_depth = opt.in_depth;
+    this.layer_type = 'elu';
+  }
+  EluLayer.prototype = elementwisePrototype(
+    function(x) { return x > 0 ? x : this.alpha * (Math.exp(x) - 1.0); },
+    function(x, y) { return x > 0 ? 1.0 : y + this.alpha; },
+    ['alpha']);
+
+  // Implements SELU nonlinearity elementwise, a scaled ELU with the fixed constants
+  // of the self-normalizing networks paper
+  // x -> scale * x if x > 0, scale * alpha * (e^x - 1) otherwise
+  var SELU_ALPHA = 1.6732632423543772;
+  var SELU_SCALE = 1.0507009873554805;
+  var SeluLayer = function(opt) {
+    var opt = opt || {};
+
+    // computed
+    this.out_sx = opt.in_sx;
+    this.out_sy = opt.in_sy;
+    this.out_depth = opt.in_depth;
+    this.layer_type = 'selu';
+  }
+  SeluLayer.prototype = elementwisePrototype(
+    function(x) { return x > 0 ? SELU_SCALE * x : SELU_SCALE * SELU_ALPHA * (Math.exp(x) - 1.0); },
+    function(x, y) { return x > 0 ? SELU_SCALE : y + SELU_SCALE * SELU_ALPHA; },
+    []);
+
+  // Implements GELU nonlinearity elementwise, with the usual tanh approximation
+  // x -> 0.5 * x * (1 + tanh(sqrt(2/pi) * (x + 0.044715 * x^3)))
+  var GELU_C = Math.sqrt(2.0 / Math.PI);
+  var GeluLayer = function(opt) {
+    var opt = opt || {};
+
+    // computed
+    this.out_sx = opt.in_sx;
+    this.out_sy = opt.in_sy;
+    this.out_depth = opt.in_depth;
+    this.layer_type = 'gelu';
+  }
+  GeluLayer.prototype = elementwisePrototype(
+    function(x) { return 0.5 * x * (1.0 + tanh(GELU_C * (x + 0.044715 * x * x * x))); },
+    function(x, y) {
+      var t = tanh(GELU_C * (x + 0.044715 * x * x * x));
+      return 0.5 * (1.0 + t) + 0.5 * x * (1.0 - t * t) * GELU_C * (1.0 + 3 * 0.044715 * x * x);
+    },
+    []);
+
+  // Implements Swish nonlinearity elementwise (SiLU for beta = 1)
+  // x -> x * sigmoid(beta * x)
+  var SwishLayer = function(opt) {
+    var opt = opt || {};
+
+    // optional
+    this.beta = typeof opt.beta !== 'undefined' ? opt.beta : 1.0;
+
+    // computed
+    this.out_sx = opt.in_sx;
+    this.out_sy = opt.in_sy;
+    this.out_depth = opt.in_depth;
+    this.layer_type = 'swish';
+  }
+  SwishLayer.prototype = elementwisePrototype(
+    function(x) { return x / (1.0 + Math.exp(-this.beta * x)); },
+    function(x, y) {
+      var s = 1.0 / (1.0 + Math.exp(-this.beta * x));
+      return s + this.beta * x * s * (1.0 - s);
+    },
+    ['beta']);
+
+  // Implements Softplus nonlinearity elementwise, a smooth relu
+  // x -> log(1 + e^(beta * x)) / beta
+  // for beta * x above the threshold it is linear, to avoid overflow
+  var SoftplusLayer = function(opt) {
+    var opt = opt || {};
+
+    // optional
+    this.beta = typeof opt.beta !== 'undefined' ? opt.beta : 1.0;
+    this.threshold = typeof opt.threshold !== 'undefined' ? opt.threshold : 20;
+
+    // computed
+    this.out_sx = opt.in_sx;
+    this.out_sy = opt.in_sy;
+    this.out_depth = opt.in_depth;
+    this.layer_type = 'softplus';
+  }
+  SoftplusLayer.prototype = elementwisePrototype(
+    function(x) {
+      var bx = this.beta * x;
+      return bx > this.threshold ? x : Math.log(1.0 + Math.exp(bx)) / this.beta;
+    },
+    function(x, y) {
+      var bx = this.beta * x;
+      return bx > this.threshold ? 1.0 : 1.0 / (1.0 + Math.exp(-bx));
+    },
+    ['beta', 'threshold']);
+
+  /** PReLU 与leaky ReLU相同, 但负半轴的斜率alpha是可学习的参数, 每个深度切片(通道)一个
+   * forward():  A.w[x, y, d] := V.w[x, y, d] > 0 ? V.w[x, y, d] : alphas.w[d] * V.w[x, y, d]
+   * backward(): alphas.dw[d] += V.w[x, y, d] * A.dw[x, y, d] (只在 V.w <= 0 的位置) */
+  // Implements PReLU nonlinearity elementwise, with a learnable slope per channel
+  // x -> x if x > 0, alpha[d] * x otherwise
+  var PReluLayer = function(opt) {
+    var opt = opt || {};
+
+    // optional
+    var alpha = typeof opt.alpha !== 'undefined' ? opt.alpha : 0.25; // initial slope
+
+    // computed
+    this.out_sx = opt.in_sx;
+    this.out_sy = opt.in_sy;
+    this.out_depth = opt.in_depth;
+    this.layer_type = 'prelu';
+
+    // initializations
+    this.alphas = new Vol(1, 1, this.out_depth, alpha);
+  }
+  PReluLayer.prototype = {
+    forward: function(V, is_training) {
+      this.in_act = V;
+      var V2 = V.clone();
+      var N = V.w.length;
+      var D = this.out_depth;
+      for(var i=0;i<N;i++) {
+        if(V2.w[i] <= 0) V2.w[i] *= this.alphas.w[i % D];
+      }
+      this.out_act = V2;
+      return this.out_act;
+    },
+    backward: function() {
+      var V = this.in_act; // we need to set dw of this
+      var V2 = this.out_act;
+      var N = V.w.length;
+      var D = this.out_depth;
+      V.dw = global.zeros(N); // zero out gradient wrt data
+      for(var i=0;i<N;i++) {
+        if(V.w[i] > 0) {
+          V.dw[i] = V2.dw[i];
+        } else {
+          var d = i % D; // depth is the fastest changing index of a Vol
+          V.dw[i] = this.alphas.w[d] * V2.dw[i];
+          this.alphas.dw[d] += V.w[i] * V2.dw[i];
+        }
+      }
+    },
+    getParamsAndGrads: function() {
+      // the slopes are not decayed, that would push them towards a plain relu
+      return [{params: this.alphas.w, grads: this.alphas.dw, l1_decay_mul: 0.0, l2_decay_mul: 0.0}];
+    },
+    toJSON: function() {
+      var json = {};
+      json.out_depth = this.out_depth;
+      json.out_sx = this.out_sx;
+      json.out_sy = this.out_sy;
+      json.layer_type = this.layer_type;
+      json.alphas = this.alphas.toJSON();
+      return json;
+    },
+    fromJSON: function(json) {
+      this.out_depth = json.out_depth;
+      this.out_sx = json.out_sx;
+      this.out_sy = json.out_sy;
+      this.layer_type = json.layer_type;
+      this.alphas = new Vol(0,0,0,0);
+      this.alphas.fromJSON(json.alphas);
+    }
+  }
   
   global.TanhLayer = TanhLayer;
   global.MaxoutLayer = MaxoutLayer;
   global.ReluLayer = ReluLayer;
   global.SigmoidLayer = SigmoidLayer;
+  global.LeakyReluLayer = LeakyReluLayer;
+  global.PReluLayer = PReluLayer;
+  global.EluLayer = EluLayer;
+  global.SeluLayer = SeluLayer;
+  global.GeluLayer = GeluLayer;
+  global.SwishLayer = SwishLayer;
+  global.SoftplusLayer = SoftplusLayer;
 
 })(convnetjs);
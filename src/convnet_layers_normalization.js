@@ -110,5 +110,331 @@
   }
   
 
+  // Batch Normalization, per depth slice (per feature map after conv layers,
+  // per neuron after fc layers). The net forwards one example at a time, so
+  // the statistics of a batch are only known once the batch is over. During
+  // training we therefore normalize with the mean and variance of the previous
+  // batch, while accumulating the statistics of the current one. The Trainer
+  // tells the layer that a batch ended through Net.endBatch(), which also folds
+  // the batch statistics into the running averages used at prediction time.
+  // Since the statistics in use are constants wrt the current input, the
+  // backward pass is exact for the function that was computed.
+  // A batch with fewer than min_count values per depth slice (e.g. after a fc
+  // layer with a small batch_size) gives no usable variance, so it is only folded
+  // into the running averages, and training goes on with those.
+  var BatchNormLayer = function(opt) {
+    var opt = opt || {};
+
+    // optional
+    this.momentum = typeof opt.momentum !== 'undefined' ? opt.momentum : 0.9; // for running averages
+    this.eps = typeof opt.eps !== 'undefined' ? opt.eps : 1e-5;
+    this.min_count = typeof opt.min_count !== 'undefined' ? opt.min_count : 8; // values per slice for a batch estimate
+
+    // computed
+    this.out_sx = opt.in_sx;
+    this.out_sy = opt.in_sy;
+    this.out_depth = opt.in_depth;
+    this.layer_type = 'batchnorm';
+
+    // initializations
+    var n = this.out_depth;
+    this.gamma = new Vol(1, 1, n, 1.0);
+    this.beta = new Vol(1, 1, n, 0.0);
+    this.running_mean = global.zeros(n);
+    this.running_var = global.zeros(n);
+    for(var i=0;i<n;i++) { this.running_var[i] = 1.0; }
+    // statistics used during training, those of the last finished batch
+    this.batch_mean = global.zeros(n);
+    this.batch_var = global.zeros(n);
+    for(var i=0;i<n;i++) { this.batch_var[i] = 1.0; }
+    // accumulators for the current batch
+    this.acc_sum = global.zeros(n);
+    this.acc_sqsum = global.zeros(n);
+    this.acc_count = 0;
+  }
+  BatchNormLayer.prototype = {
+    forward: function(V, is_training) {
+      this.in_act = V;
+      if(typeof(is_training)==='undefined') { is_training = false; } // default is prediction mode
+      var D = this.out_depth;
+      var mean = is_training ? this.batch_mean : this.running_mean;
+      var vari = is_training ? this.batch_var : this.running_var;
+
+      var A = V.cloneAndZero();
+      var xhat = V.cloneAndZero(); // normalized inputs, needed for the gradient of gamma
+      var N = V.w.length;
+      for(var i=0;i<N;i++) {
+        var d = i % D; // depth is the fastest changing index of a Vol
+        var v = V.w[i];
+        var xh = (v - mean[d]) / Math.sqrt(vari[d] + this.eps);
+        xhat.w[i] = xh;
+        A.w[i] = this.gamma.w[d] * xh + this.beta.w[d];
+        if(is_training) {
+          this.acc_sum[d] += v;
+          this.acc_sqsum[d] += v * v;
+        }
+      }
+      if(is_training) { this.acc_count += N / D; }
+      this.is_training = is_training;
+      this.xhat = xhat;
+      this.out_act = A;
+      return this.out_act;
+    },
+    backward: function() {
+      var V = this.in_act; // we need to set dw of this
+      var A = this.out_act;
+      var D = this.out_depth;
+      var vari = this.is_training ? this.batch_var : this.running_var;
+      var N = V.w.length;
+      V.dw = global.zeros(N); // zero out gradient wrt data
+      for(var i=0;i<N;i++) {
+        var d = i % D;
+        var chain_grad = A.dw[i];
+        this.gamma.dw[d] += this.xhat.w[i] * chain_grad;
+        this.beta.dw[d] += chain_grad;
+        V.dw[i] = this.gamma.w[d] / Math.sqrt(vari[d] + this.eps) * chain_grad;
+      }
+    },
+    // called at the end of every batch: the accumulated statistics are folded into
+    // the running averages, and become the ones used for training if the batch was
+    // big enough to estimate them. Otherwise training uses the running averages, so
+    // we never normalize with the zero variance of a single value
+    endBatch: function() {
+      if(this.acc_count === 0) { return; } // no training forward passes since last time
+      var D = this.out_depth;
+      var n = this.acc_count;
+      for(var d=0;d<D;d++) {
+        var m = this.acc_sum[d] / n;
+        // one value has no spread of its own, its distance to the running mean is the best estimate
+        var v = n > 1 ? Math.max(0, this.acc_sqsum[d] / n - m * m) : (m - this.running_mean[d]) * (m - this.running_mean[d]);
+        this.running_mean[d] = this.momentum * this.running_mean[d] + (1 - this.momentum) * m;
+        this.running_var[d] = this.momentum * this.running_var[d] + (1 - this.momentum) * v;
+        if(n >= this.min_count && v >= this.eps) {
+          this.batch_mean[d] = m;
+          this.batch_var[d] = v;
+        } else {
+          this.batch_mean[d] = this.running_mean[d];
+          this.batch_var[d] = this.running_var[d];
+        }
+        this.acc_sum[d] = 0.0;
+        this.acc_sqsum[d] = 0.0;
+      }
+      this.acc_count = 0;
+    },
+    getParamsAndGrads: function() {
+      return [{params: this.gamma.w, grads: this.gamma.dw, l1_decay_mul: 0.0, l2_decay_mul: 0.0},
+              {params: this.beta.w, grads: this.beta.dw, l1_decay_mul: 0.0, l2_decay_mul: 0.0}];
+    },
+    toJSON: function() {
+      var json = {};
+      json.out_sx = this.out_sx;
+      json.out_sy = this.out_sy;
+      json.out_depth = this.out_depth;
+      json.layer_type = this.layer_type;
+      json.momentum = this.momentum;
+      json.eps = this.eps;
+      json.min_count = this.min_count;
+      json.gamma = this.gamma.toJSON();
+      json.beta = this.beta.toJSON();
+      json.running_mean = this.running_mean;
+      json.running_var = this.running_var;
+      json.batch_mean = this.batch_mean;
+      json.batch_var = this.batch_var;
+      json.acc_sum = this.acc_sum;
+      json.acc_sqsum = this.acc_sqsum;
+      json.acc_count = this.acc_count;
+      return json;
+    },
+    fromJSON: function(json) {
+      this.out_sx = json.out_sx;
+      this.out_sy = json.out_sy;
+      this.out_depth = json.out_depth;
+      this.layer_type = json.layer_type;
+      this.momentum = json.momentum;
+      this.eps = json.eps;
+      this.min_count = typeof json.min_count !== 'undefined' ? json.min_count : 8;
+      this.gamma = new Vol(0,0,0,0);
+      this.gamma.fromJSON(json.gamma);
+      this.beta = new Vol(0,0,0,0);
+      this.beta.fromJSON(json.beta);
+      var n = this.out_depth;
+      this.running_mean = global.zeros(n);
+      this.running_var = global.zeros(n);
+      this.batch_mean = global.zeros(n);
+      this.batch_var = global.zeros(n);
+      this.acc_sum = global.zeros(n);
+      this.acc_sqsum = global.zeros(n);
+      for(var i=0;i<n;i++) {
+        this.running_mean[i] = json.running_mean[i];
+        this.running_var[i] = json.running_var[i];
+        // older dumps may only have the running statistics
+        this.batch_mean[i] = typeof json.batch_mean !== 'undefined' ? json.batch_mean[i] : json.running_mean[i];
+        this.batch_var[i] = typeof json.batch_var !== 'undefined' ? json.batch_var[i] : json.running_var[i];
+        this.acc_sum[i] = typeof json.acc_sum !== 'undefined' ? json.acc_sum[i] : 0.0;
+        this.acc_sqsum[i] = typeof json.acc_sqsum !== 'undefined' ? json.acc_sqsum[i] : 0.0;
+      }
+      this.acc_count = typeof json.acc_count !== 'undefined' ? json.acc_count : 0;
+    }
+  }
+
+  // helpers shared by GroupNormLayer and LayerNormLayer. The depth slices are
+  // split into L.groups consecutive groups and every group is normalized
+  // over its slices and all x,y positions of the single example, so nothing
+  // depends on batch statistics. gamma and beta are per depth slice.
+  var groupNormForward = function(L, V) {
+    var D = L.out_depth;
+    var G = L.groups;
+    var gs = D / G; // depth slices per group
+    var mean = global.zeros(G);
+    var vari = global.zeros(G);
+    var N = V.w.length;
+    var m = N / G; // number of elements per group
+    for(var i=0;i<N;i++) {
+      mean[Math.floor((i % D) / gs)] += V.w[i];
+    }
+    for(var g=0;g<G;g++) { mean[g] /= m; }
+    for(var i=0;i<N;i++) {
+      var g = Math.floor((i % D) / gs);
+      var dv = V.w[i] - mean[g];
+      vari[g] += dv * dv;
+    }
+    var istd = global.zeros(G);
+    for(var g=0;g<G;g++) { istd[g] = 1.0 / Math.sqrt(vari[g] / m + L.eps); }
+
+    var A = V.cloneAndZero();
+    var xhat = V.cloneAndZero();
+    for(var i=0;i<N;i++) {
+      var d = i % D;
+      var g = Math.floor(d / gs);
+      var xh = (V.w[i] - mean[g]) * istd[g];
+      xhat.w[i] = xh;
+      A.w[i] = L.gamma.w[d] * xh + L.beta.w[d];
+    }
+    L.in_act = V;
+    L.xhat = xhat;
+    L.istd = istd;
+    L.out_act = A;
+    return A;
+  }
+  var groupNormBackward = function(L) {
+    var V = L.in_act;
+    var A = L.out_act;
+    var D = L.out_depth;
+    var G = L.groups;
+    var gs = D / G;
+    var N = V.w.length;
+    var m = N / G;
+    V.dw = global.zeros(N); // zero out gradient wrt data
+
+    // dx = istd * (dxhat - mean(dxhat) - xhat * mean(dxhat * xhat)), per group
+    var dxhat = global.zeros(N);
+    var sum_dxhat = global.zeros(G);
+    var sum_dxhat_xhat = global.zeros(G);
+    for(var i=0;i<N;i++) {
+      var d = i % D;
+      var g = Math.floor(d / gs);
+      var chain_grad = A.dw[i];
+      L.gamma.dw[d] += L.xhat.w[i] * chain_grad;
+      L.beta.dw[d] += chain_grad;
+      dxhat[i] = L.gamma.w[d] * chain_grad;
+      sum_dxhat[g] += dxhat[i];
+      sum_dxhat_xhat[g] += dxhat[i] * L.xhat.w[i];
+    }
+    for(var i=0;i<N;i++) {
+      var g = Math.floor((i % D) / gs);
+      V.dw[i] = L.istd[g] * (dxhat[i] - sum_dxhat[g] / m - L.xhat.w[i] * sum_dxhat_xhat[g] / m);
+    }
+  }
+  var groupNormToJSON = function(L) {
+    var json = {};
+    json.out_sx = L.out_sx;
+    json.out_sy = L.out_sy;
+    json.out_depth = L.out_depth;
+    json.layer_type = L.layer_type;
+    json.groups = L.groups;
+    json.eps = L.eps;
+    json.gamma = L.gamma.toJSON();
+    json.beta = L.beta.toJSON();
+    return json;
+  }
+  var groupNormFromJSON = function(L, json) {
+    L.out_sx = json.out_sx;
+    L.out_sy = json.out_sy;
+    L.out_depth = json.out_depth;
+    L.layer_type = json.layer_type;
+    L.groups = json.groups;
+    L.eps = json.eps;
+    L.gamma = new Vol(0,0,0,0);
+    L.gamma.fromJSON(json.gamma);
+    L.beta = new Vol(0,0,0,0);
+    L.beta.fromJSON(json.beta);
+  }
+
+  // Group Normalization: normalizes groups of depth slices within every example.
+  // Works the same at training and prediction time and for any batch_size
+  var GroupNormLayer = function(opt) {
+    var opt = opt || {};
+
+    // optional
+    this.groups = typeof opt.groups !== 'undefined' ? opt.groups : Math.min(32, opt.in_depth); // same option name as grouped conv
+    this.eps = typeof opt.eps !== 'undefined' ? opt.eps : 1e-5;
+
+    // computed
+    this.out_sx = opt.in_sx;
+    this.out_sy = opt.in_sy;
+    this.out_depth = opt.in_depth;
+    this.layer_type = 'groupnorm';
+
+    // checks
+    if(this.out_depth % this.groups > 0) { console.log('WARNING in_depth should be divisible by groups for groupnorm layer'); }
+
+    // initializations
+    this.gamma = new Vol(1, 1, this.out_depth, 1.0);
+    this.beta = new Vol(1, 1, this.out_depth, 0.0);
+  }
+  GroupNormLayer.prototype = {
+    forward: function(V, is_training) { return groupNormForward(this, V); },
+    backward: function() { groupNormBackward(this); },
+    getParamsAndGrads: function() {
+      return [{params: this.gamma.w, grads: this.gamma.dw, l1_decay_mul: 0.0, l2_decay_mul: 0.0},
+              {params: this.beta.w, grads: this.beta.dw, l1_decay_mul: 0.0, l2_decay_mul: 0.0}];
+    },
+    toJSON: function() { return groupNormToJSON(this); },
+    fromJSON: function(json) { groupNormFromJSON(this, json); }
+  }
+
+  // Layer Normalization: normalizes every example over all of its activations,
+  // i.e. group normalization with a single group
+  var LayerNormLayer = function(opt) {
+    var opt = opt || {};
+
+    // optional
+    this.eps = typeof opt.eps !== 'undefined' ? opt.eps : 1e-5;
+
+    // computed
+    this.groups = 1;
+    this.out_sx = opt.in_sx;
+    this.out_sy = opt.in_sy;
+    this.out_depth = opt.in_depth;
+    this.layer_type = 'layernorm';
+
+    // initializations
+    this.gamma = new Vol(1, 1, this.out_depth, 1.0);
+    this.beta = new Vol(1, 1, this.out_depth, 0.0);
+  }
+  LayerNormLayer.prototype = {
+    forward: function(V, is_training) { return groupNormForward(this, V); },
+    backward: function() { groupNormBackward(this); },
+    getParamsAndGrads: function() {
+      return [{params: this.gamma.w, grads: this.gamma.dw, l1_decay_mul: 0.0, l2_decay_mul: 0.0},
+              {params: this.beta.w, grads: this.beta.dw, l1_decay_mul: 0.0, l2_decay_mul: 0.0}];
+    },
+    toJSON: function() { return groupNormToJSON(this); },
+    fromJSON: function(json) { groupNormFromJSON(this, json); }
+  }
+
   global.LocalResponseNormalizationLayer = LocalResponseNormalizationLayer;
+  global.BatchNormLayer = BatchNormLayer;
+  global.GroupNormLayer = GroupNormLayer;
+  global.LayerNormLayer = LayerNormLayer;
 })(convnetjs);
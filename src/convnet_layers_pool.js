@@ -7,7 +7,8 @@
    * 这个池化层从卷积层中取得一个矩形块. 从输入小块二次抽样, 产生单独的输出. 
    * 目前有几种方法来做这样的池化, 比如取平均值或最大值或神经元区块中已学习的线性组合
    * 
-   * 本例中实现的是max-pooling最大池化方法
+   * 本例中实现了max-pooling最大池化方法(mode:'max', 默认) 和 average-pooling平均池化方法(mode:'avg')
+   * global:true 时滤镜覆盖整个输入平面, 每个深度切片被压缩为1x1 (全局池化)
    * 
    * [成员变量]
    *    基础变量 layer_type : 'pool'
@@ -49,6 +50,7 @@
    *    输入层参数 in_sx, in_sy, in_depth
    *    滤镜参数 sx, sy
    *    计算参数 pad - 边缘填充, stride - 步长
+   *    池化参数 mode - 'max' 或 'avg', global - 是否全局池化
    * */
   var PoolLayer = function(opt) {
 
@@ -64,6 +66,16 @@
     this.sy = typeof opt.sy !== 'undefined' ? opt.sy : this.sx;
     this.stride = typeof opt.stride !== 'undefined' ? opt.stride : 2;
     this.pad = typeof opt.pad !== 'undefined' ? opt.pad : 0; // amount of 0 padding to add around borders of input volume
+    this.mode = typeof opt.mode !== 'undefined' ? opt.mode : 'max'; // 'max' or 'avg'
+    this.global = typeof opt.global !== 'undefined' ? opt.global : false; // collapse every depth slice to 1x1
+
+    if(this.global) {
+      // the filter covers the whole input, so there is exactly one application
+      this.sx = this.in_sx;
+      this.sy = this.in_sy;
+      this.stride = 1;
+      this.pad = 0;
+    }
 
     // computed
     this.out_depth = this.in_depth;
@@ -77,6 +89,7 @@
 
   PoolLayer.prototype = {
     forward: function(V, is_training) {
+      if(this.mode === 'avg') { return this.forwardAvg(V); }
       this.in_act = V;
 
       var A = new Vol(this.out_sx, this.out_sy, this.out_depth, 0.0);
@@ -90,8 +103,8 @@
           for(var ay=0; ay<this.out_sy; y+=this.stride,ay++) {
 
             // convolve centered at this particular location
-            var a = -99999; // hopefully small enough ;\
-            var winx=-1,winy=-1;
+            var a = -Infinity;
+            var winx=-1,winy=-1; // stay -1 if the window only covers padding
             for(var fx=0;fx<this.sx;fx++) {
               for(var fy=0;fy<this.sy;fy++) {
                 var oy = y+fy;
@@ -101,14 +114,15 @@
                   // perform max pooling and store pointers to where
                   // the max came from. This will speed up backprop 
                   // and can help make nice visualizations in future
-                  if(v > a) { a = v; winx=ox; winy=oy;}
+                  if(winx === -1 || v > a) { a = v; winx=ox; winy=oy;}
                 }
               }
             }
             this.switchx[n] = winx;
             this.switchy[n] = winy;
             n++;
-            A.set(ax, ay, d, a);
+            // like pool1d, a window of padding only outputs 0 and gets no gradient
+            A.set(ax, ay, d, winx >= 0 ? a : 0.0);
           }
         }
       }
@@ -116,6 +130,7 @@
       return this.out_act;
     },
     backward: function() { 
+      if(this.mode === 'avg') { return this.backwardAvg(); }
       // pooling layers have no parameters, so simply compute 
       // gradient wrt data here
       var V = this.in_act;
@@ -131,13 +146,72 @@
           for(var ay=0; ay<this.out_sy; y+=this.stride,ay++) {
 
             var chain_grad = this.out_act.get_grad(ax,ay,d);
-            V.add_grad(this.switchx[n], this.switchy[n], d, chain_grad);
+            if(this.switchx[n] >= 0) { V.add_grad(this.switchx[n], this.switchy[n], d, chain_grad); }
             n++;
 
           }
         }
       }
     },
+    /** forwardAvg(V) - 平均池化, 只对窗口中未越界的部分求平均(填充的0不计入) */
+    forwardAvg: function(V) {
+      this.in_act = V;
+
+      var A = new Vol(this.out_sx, this.out_sy, this.out_depth, 0.0);
+
+      for(var d=0;d<this.out_depth;d++) {
+        var x = -this.pad;
+        var y = -this.pad;
+        for(var ax=0; ax<this.out_sx; x+=this.stride,ax++) {
+          y = -this.pad;
+          for(var ay=0; ay<this.out_sy; y+=this.stride,ay++) {
+
+            var a = 0.0;
+            var cnt = 0;
+            for(var fx=0;fx<this.sx;fx++) {
+              for(var fy=0;fy<this.sy;fy++) {
+                var oy = y+fy;
+                var ox = x+fx;
+                if(oy>=0 && oy<V.sy && ox>=0 && ox<V.sx) {
+                  a += V.get(ox, oy, d);
+                  cnt++;
+                }
+              }
+            }
+            A.set(ax, ay, d, cnt > 0 ? a / cnt : 0.0);
+          }
+        }
+      }
+      this.out_act = A;
+      return this.out_act;
+    },
+    /** backwardAvg() - 平均池化的梯度, 平均分配给窗口中每一个未越界的输入 */
+    backwardAvg: function() {
+      var V = this.in_act;
+      V.dw = global.zeros(V.w.length); // zero out gradient wrt data
+
+      for(var d=0;d<this.out_depth;d++) {
+        var x = -this.pad;
+        var y = -this.pad;
+        for(var ax=0; ax<this.out_sx; x+=this.stride,ax++) {
+          y = -this.pad;
+          for(var ay=0; ay<this.out_sy; y+=this.stride,ay++) {
+
+            // count the elements that were averaged first
+            var x0 = Math.max(0, x), x1 = Math.min(V.sx, x + this.sx);
+            var y0 = Math.max(0, y), y1 = Math.min(V.sy, y + this.sy);
+            var cnt = (x1 - x0) * (y1 - y0);
+            if(cnt <= 0) { continue; }
+            var chain_grad = this.out_act.get_grad(ax,ay,d) / cnt;
+            for(var ox=x0;ox<x1;ox++) {
+              for(var oy=y0;oy<y1;oy++) {
+                V.add_grad(ox, oy, d, chain_grad);
+              }
+            }
+          }
+        }
+      }
+    },
     getParamsAndGrads: function() {
       return [];
     },
@@ -152,6 +226,8 @@
       json.out_sy = this.out_sy;
       json.layer_type = this.layer_type;
       json.pad = this.pad;
+      json.mode = this.mode;
+      json.global = this.global;
       return json;
     },
     fromJSON: function(json) {
@@ -164,11 +240,168 @@
       this.stride = json.stride;
       this.in_depth = json.in_depth;
       this.pad = typeof json.pad !== 'undefined' ? json.pad : 0; // backwards compatibility
+      this.mode = typeof json.mode !== 'undefined' ? json.mode : 'max'; // backwards compatibility
+      this.global = typeof json.global !== 'undefined' ? json.global : false;
       this.switchx = global.zeros(this.out_sx*this.out_sy*this.out_depth); // need to re-init these appropriately
       this.switchy = global.zeros(this.out_sx*this.out_sy*this.out_depth);
     }
   }
 
+  /** Pool1DLayer(opt) - 一维池化层 构造函数, 与Conv1DLayer配合用于时间序列
+   * 池化只沿x轴进行, 每一行(y)和每个深度切片单独计算
+   * opt 参数说明
+   *    输入层参数 in_sx, in_sy, in_depth
+   *    滤镜参数 sx (窗口宽度, 默认2)
+   *    计算参数 stride - 步长(默认等于sx), pad - 两侧的填充, dilation - 空洞系数
+   *             causal - 只在左侧填充 dilation*(sx-1), 输出的第t步只依赖于输入的第t步及之前 (此时忽略pad)
+   *    池化参数 mode - 'max' 或 'avg', 填充部分不参与计算
+   * switches 存储每个输出最大值来源的输入下标
+   * */
+  var Pool1DLayer = function(opt) {
+
+    var opt = opt || {};
+
+    // required
+    this.in_depth = opt.in_depth;
+    this.in_sx = opt.in_sx;
+    this.in_sy = opt.in_sy;
+
+    // optional
+    this.sx = typeof opt.sx !== 'undefined' ? opt.sx : 2; // window size
+    this.stride = typeof opt.stride !== 'undefined' ? opt.stride : this.sx;
+    this.dilation = typeof opt.dilation !== 'undefined' ? opt.dilation : 1;
+    this.causal = typeof opt.causal !== 'undefined' ? opt.causal : false;
+    this.pad = typeof opt.pad !== 'undefined' ? opt.pad : 0; // ignored when causal
+    this.mode = typeof opt.mode !== 'undefined' ? opt.mode : 'max'; // 'max' or 'avg'
+
+    // computed
+    this.setPadding();
+    var span = this.dilation * (this.sx - 1) + 1;
+    this.out_depth = this.in_depth;
+    this.out_sx = Math.floor((this.in_sx + this.pad_left + this.pad_right - span) / this.stride + 1);
+    this.out_sy = this.in_sy;
+    this.layer_type = 'pool1d';
+    // index into the input of where the max came from, for each output neuron
+    this.switches = global.zeros(this.out_sx*this.out_sy*this.out_depth);
+  }
+
+  Pool1DLayer.prototype = {
+    // causal padding goes all to the left, so no output looks into the future
+    setPadding: function() {
+      if(this.causal) {
+        this.pad_left = this.dilation * (this.sx - 1);
+        this.pad_right = 0;
+      } else {
+        this.pad_left = this.pad;
+        this.pad_right = this.pad;
+      }
+    },
+    forward: function(V, is_training) {
+      this.in_act = V;
+      var A = new Vol(this.out_sx, this.out_sy, this.out_depth, 0.0);
+      var D = this.out_depth;
+
+      for(var y=0;y<this.out_sy;y++) {
+        var row = V.sx * y;
+        for(var ax=0;ax<this.out_sx;ax++) {
+          var x = ax*this.stride - this.pad_left;
+          for(var d=0;d<D;d++) {
+            var a = this.mode === 'max' ? -Infinity : 0.0;
+            var win = -1; // stays -1 if the window only covers padding
+            var cnt = 0;
+            for(var fx=0;fx<this.sx;fx++) {
+              var ox = x + fx*this.dilation;
+              if(ox>=0 && ox<V.sx) {
+                var ix = (row+ox)*D+d;
+                if(this.mode === 'max') {
+                  if(win === -1 || V.w[ix] > a) { a = V.w[ix]; win = ix; }
+                } else {
+                  a += V.w[ix];
+                  cnt++;
+                }
+              }
+            }
+            var n = ((A.sx * y)+ax)*D+d;
+            if(this.mode === 'max') {
+              // a window of padding only has nothing to pick, it outputs 0 and gets no gradient
+              this.switches[n] = win;
+              A.w[n] = win >= 0 ? a : 0.0;
+            } else {
+              A.w[n] = cnt > 0 ? a / cnt : 0.0;
+            }
+          }
+        }
+      }
+      this.out_act = A;
+      return this.out_act;
+    },
+    backward: function() {
+      var V = this.in_act;
+      V.dw = global.zeros(V.w.length); // zero out gradient wrt data
+      var A = this.out_act;
+      var D = this.out_depth;
+
+      for(var y=0;y<this.out_sy;y++) {
+        var row = V.sx * y;
+        for(var ax=0;ax<this.out_sx;ax++) {
+          var x = ax*this.stride - this.pad_left;
+          for(var d=0;d<D;d++) {
+            var n = ((A.sx * y)+ax)*D+d;
+            var chain_grad = A.dw[n];
+            if(this.mode === 'max') {
+              if(this.switches[n] >= 0) { V.dw[this.switches[n]] += chain_grad; }
+              continue;
+            }
+            // average: count the elements that were averaged first
+            var cnt = 0;
+            for(var fx=0;fx<this.sx;fx++) {
+              var ox = x + fx*this.dilation;
+              if(ox>=0 && ox<V.sx) { cnt++; }
+            }
+            for(var fx=0;fx<this.sx;fx++) {
+              var ox = x + fx*this.dilation;
+              if(ox>=0 && ox<V.sx) { V.dw[(row+ox)*D+d] += chain_grad / cnt; }
+            }
+          }
+        }
+      }
+    },
+    getParamsAndGrads: function() {
+      return [];
+    },
+    toJSON: function() {
+      var json = {};
+      json.sx = this.sx;
+      json.stride = this.stride;
+      json.dilation = this.dilation;
+      json.causal = this.causal;
+      json.pad = this.pad;
+      json.mode = this.mode;
+      json.in_depth = this.in_depth;
+      json.out_depth = this.out_depth;
+      json.out_sx = this.out_sx;
+      json.out_sy = this.out_sy;
+      json.layer_type = this.layer_type;
+      return json;
+    },
+    fromJSON: function(json) {
+      this.out_depth = json.out_depth;
+      this.out_sx = json.out_sx;
+      this.out_sy = json.out_sy;
+      this.layer_type = json.layer_type;
+      this.sx = json.sx;
+      this.stride = json.stride;
+      this.dilation = json.dilation;
+      this.causal = json.causal;
+      this.pad = json.pad;
+      this.mode = json.mode;
+      this.in_depth = json.in_depth;
+      this.setPadding();
+      this.switches = global.zeros(this.out_sx*this.out_sy*this.out_depth);
+    }
+  }
+
   global.PoolLayer = PoolLayer;
+  global.Pool1DLayer = Pool1DLayer;
 
 })(convnetjs);
@@ -0,0 +1,336 @@
+(function(global) {
+  "use strict";
+  var Vol = global.Vol; // convenience
+
+  /**
+   * [概述]
+   * 循环层(RNN, LSTM, GRU), 每次forward()处理序列中的一个时间步, 隐藏状态h(LSTM还有细胞状态c)保存在层中
+   * 并在连续的forward()调用之间传递, 直到调用 resetState() 将其清零
+   *
+   * [随时间反向传播 BPTT]
+   * 序列的训练通过 Net.forwardSequence / Net.backwardSequence 或 Trainer.trainSequence 完成
+   * 反向计算时从最后一个时间步开始, 每一步的backward()除了上层传来的梯度之外, 还要加上下一时间步传回的
+   * 关于隐藏状态的梯度(保存在carry中), 并把关于上一时间步隐藏状态的梯度写回carry
+   * carry在每次反向传播(Net.backward, backwardSequence, backwardGroup)开始和结束时清零, 所以普通的train()不会混入上一个样本的梯度
+   * 截断的BPTT: 把长序列切成若干段依次训练, 不在段之间调用resetState(), 这样状态会延续, 但梯度只在段内传播
+   *
+   * [数据结构]
+   * 输入 x 为 in_sx x in_sy x in_depth 展开后的 num_inputs 维向量, 输出为 1 x 1 x num_neurons 的隐藏状态h
+   * 所有门的参数堆叠在一起: W = [G*H x num_inputs], U = [G*H x H], b = [G*H], H = num_neurons
+   *    rnn:  G = 1, h = tanh(W x + U h' + b)
+   *    lstm: G = 4, 门的顺序为 i, f, o, g.  c = f*c' + i*g, h = o*tanh(c)
+   *    gru:  G = 3, 门的顺序为 r, z, n.     n = tanh(Wn x + Un (r*h') + bn), h = (1-z)*n + z*h'
+   * 其中 h', c' 为上一时间步的状态
+   */
+  // Recurrent layers. Every forward() is one time step, the hidden state is
+  // kept in the layer between calls until resetState(). During backprop
+  // through time, the gradient wrt the previous hidden state is handed from
+  // step t to step t-1 through this.carry, see Net.backwardSequence.
+
+  var sigmoid = function(x) { return 1.0/(1.0+Math.exp(-x)); }
+  var tanh = global.tanh; // overflow safe, see convnet_util.js
+
+  // creates the parameters and the state shared by all recurrent layers
+  var initRecurrent = function(L, opt, num_gates, layer_type) {
+    // required
+    L.out_depth = opt.num_neurons;
+
+    // optional
+    L.l1_decay_mul = typeof opt.l1_decay_mul !== 'undefined' ? opt.l1_decay_mul : 0.0;
+    L.l2_decay_mul = typeof opt.l2_decay_mul !== 'undefined' ? opt.l2_decay_mul : 1.0;
+
+    // computed
+    L.num_inputs = opt.in_sx * opt.in_sy * opt.in_depth;
+    L.num_gates = num_gates;
+    L.out_sx = 1;
+    L.out_sy = 1;
+    L.layer_type = layer_type;
+
+    // initializations. Scale every matrix by its own fan-in, like Vol does for filters
+    var H = L.out_depth;
+    var GH = num_gates * H;
+    L.W = new Vol(1, 1, GH * L.num_inputs, 0.0);
+    L.U = new Vol(1, 1, GH * H, 0.0);
+    L.b = new Vol(1, 1, GH, 0.0);
+    var scale_x = Math.sqrt(1.0/L.num_inputs);
+    var scale_h = Math.sqrt(1.0/H);
+    for(var i=0;i<L.W.w.length;i++) { L.W.w[i] = global.randn(0.0, scale_x); }
+    for(var i=0;i<L.U.w.length;i++) { L.U.w[i] = global.randn(0.0, scale_h); }
+    if(typeof opt.init !== 'undefined') {
+      // every gate has its own H x num_inputs and H x H block, initialized separately
+      for(var g=0;g<num_gates;g++) {
+        var wrows = [], urows = [];
+        for(var r=g*H;r<(g+1)*H;r++) {
+          wrows.push(L.W.w.subarray(r * L.num_inputs, (r+1) * L.num_inputs));
+          urows.push(L.U.w.subarray(r * H, (r+1) * H));
+        }
+        global.initWeights(wrows, L.num_inputs, H, opt.init);
+        global.initWeights(urows, H, H, typeof opt.recurrent_init !== 'undefined' ? opt.recurrent_init : opt.init);
+      }
+    }
+    L.resetState();
+  }
+
+  // z[r] += M[r,:] . v for the rows r0 ... r0+n-1 of matrix M with cols columns
+  var addMatVec = function(z, M, v, r0, n, cols) {
+    for(var r=0;r<n;r++) {
+      var a = 0.0;
+      var ix = (r0 + r) * cols;
+      for(var q=0;q<cols;q++) { a += M[ix+q] * v[q]; }
+      z[r0 + r] += a;
+    }
+  }
+  // backward of addMatVec: dM[r,:] += dz[r] * v and dv += M[r,:] * dz[r]
+  var backMatVec = function(dz, M, dM, v, dv, r0, n, cols) {
+    for(var r=0;r<n;r++) {
+      var g = dz[r0 + r];
+      if(g === 0) { continue; }
+      var ix = (r0 + r) * cols;
+      for(var q=0;q<cols;q++) {
+        dM[ix+q] += g * v[q];
+        dv[q] += M[ix+q] * g;
+      }
+    }
+  }
+
+  // methods that are the same for all recurrent layers
+  var recurrentMethods = {
+    // clears the hidden state, call at the start of every new sequence
+    resetState: function() {
+      this.h = global.zeros(this.out_depth);
+      this.c = global.zeros(this.out_depth);
+      this.carry = {dh: null, dc: null}; // gradients wrt the state, from the next time step
+    },
+    // called by the net before and after every backward pass, so the carry only
+    // connects the steps of one backwardSequence() and never separate examples
+    endSequence: function() {
+      this.carry.dh = null;
+      this.carry.dc = null;
+    },
+    getParamsAndGrads: function() {
+      return [{params: this.W.w, grads: this.W.dw, l1_decay_mul: this.l1_decay_mul, l2_decay_mul: this.l2_decay_mul},
+              {params: this.U.w, grads: this.U.dw, l1_decay_mul: this.l1_decay_mul, l2_decay_mul: this.l2_decay_mul},
+              {params: this.b.w, grads: this.b.dw, l1_decay_mul: 0.0, l2_decay_mul: 0.0}];
+    },
+    toJSON: function() {
+      var json = {};
+      json.out_depth = this.out_depth;
+      json.out_sx = this.out_sx;
+      json.out_sy = this.out_sy;
+      json.layer_type = this.layer_type;
+      json.num_inputs = this.num_inputs;
+      json.num_gates = this.num_gates;
+      json.l1_decay_mul = this.l1_decay_mul;
+      json.l2_decay_mul = this.l2_decay_mul;
+      json.W = this.W.toJSON();
+      json.U = this.U.toJSON();
+      json.b = this.b.toJSON();
+      return json;
+    },
+    fromJSON: function(json) {
+      this.out_depth = json.out_depth;
+      this.out_sx = json.out_sx;
+      this.out_sy = json.out_sy;
+      this.layer_type = json.layer_type;
+      this.num_inputs = json.num_inputs;
+      this.num_gates = json.num_gates;
+      this.l1_decay_mul = json.l1_decay_mul;
+      this.l2_decay_mul = json.l2_decay_mul;
+      this.W = new Vol(0,0,0,0);
+      this.W.fromJSON(json.W);
+      this.U = new Vol(0,0,0,0);
+      this.U.fromJSON(json.U);
+      this.b = new Vol(0,0,0,0);
+      this.b.fromJSON(json.b);
+      this.resetState();
+    }
+  }
+  var addRecurrentMethods = function(proto) {
+    for(var key in recurrentMethods) { proto[key] = recurrentMethods[key]; }
+    return proto;
+  }
+
+  // gradient wrt the hidden state of this step: from the layers above plus from the next step
+  var stateGrad = function(L) {
+    var H = L.out_depth;
+    var dh = global.zeros(H);
+    for(var j=0;j<H;j++) {
+      dh[j] = L.out_act.dw[j] + (L.carry.dh !== null ? L.carry.dh[j] : 0.0);
+    }
+    return dh;
+  }
+
+  // Vanilla RNN with tanh nonlinearity
+  var RNNLayer = function(opt) {
+    var opt = opt || {};
+    initRecurrent(this, opt, 1, 'rnn');
+  }
+  RNNLayer.prototype = addRecurrentMethods({
+    forward: function(V, is_training) {
+      this.in_act = V;
+      var H = this.out_depth;
+      var h_prev = this.h;
+      var z = global.zeros(H);
+      for(var j=0;j<H;j++) { z[j] = this.b.w[j]; }
+      addMatVec(z, this.W.w, V.w, 0, H, this.num_inputs);
+      addMatVec(z, this.U.w, h_prev, 0, H, H);
+      var h = global.zeros(H);
+      for(var j=0;j<H;j++) { h[j] = tanh(z[j]); }
+
+      this.h_prev = h_prev; // save for backprop
+      this.h = h;
+      var A = new Vol(1, 1, H, 0.0);
+      for(var j=0;j<H;j++) { A.w[j] = h[j]; }
+      this.out_act = A;
+      return this.out_act;
+    },
+    backward: function() {
+      var V = this.in_act;
+      var H = this.out_depth;
+      V.dw = global.zeros(V.w.length); // zero out the gradient in input Vol
+      var dh = stateGrad(this);
+      var dz = global.zeros(H);
+      for(var j=0;j<H;j++) { dz[j] = dh[j] * (1.0 - this.h[j] * this.h[j]); this.b.dw[j] += dz[j]; }
+      var dh_prev = global.zeros(H);
+      backMatVec(dz, this.W.w, this.W.dw, V.w, V.dw, 0, H, this.num_inputs);
+      backMatVec(dz, this.U.w, this.U.dw, this.h_prev, dh_prev, 0, H, H);
+      this.carry.dh = dh_prev;
+    }
+  });
+
+  // Long Short-Term Memory. The forget gate bias starts at 1 so that memory is kept early on
+  var LSTMLayer = function(opt) {
+    var opt = opt || {};
+    initRecurrent(this, opt, 4, 'lstm');
+    for(var j=0;j<this.out_depth;j++) { this.b.w[this.out_depth + j] = 1.0; }
+  }
+  LSTMLayer.prototype = addRecurrentMethods({
+    forward: function(V, is_training) {
+      this.in_act = V;
+      var H = this.out_depth;
+      var h_prev = this.h;
+      var c_prev = this.c;
+      var z = global.zeros(4*H);
+      for(var j=0;j<4*H;j++) { z[j] = this.b.w[j]; }
+      addMatVec(z, this.W.w, V.w, 0, 4*H, this.num_inputs);
+      addMatVec(z, this.U.w, h_prev, 0, 4*H, H);
+      // gate activations, in the order i, f, o, g
+      var gates = global.zeros(4*H);
+      for(var j=0;j<3*H;j++) { gates[j] = sigmoid(z[j]); }
+      for(var j=3*H;j<4*H;j++) { gates[j] = tanh(z[j]); }
+      var c = global.zeros(H);
+      var h = global.zeros(H);
+      for(var j=0;j<H;j++) {
+        c[j] = gates[H+j] * c_prev[j] + gates[j] * gates[3*H+j];
+        h[j] = gates[2*H+j] * tanh(c[j]);
+      }
+
+      // save for backprop
+      this.h_prev = h_prev;
+      this.c_prev = c_prev;
+      this.gates = gates;
+      this.h = h;
+      this.c = c;
+      var A = new Vol(1, 1, H, 0.0);
+      for(var j=0;j<H;j++) { A.w[j] = h[j]; }
+      this.out_act = A;
+      return this.out_act;
+    },
+    backward: function() {
+      var V = this.in_act;
+      var H = this.out_depth;
+      V.dw = global.zeros(V.w.length); // zero out the gradient in input Vol
+      var dh = stateGrad(this);
+      var gates = this.gates;
+      var dz = global.zeros(4*H);
+      var dc_prev = global.zeros(H);
+      for(var j=0;j<H;j++) {
+        var i = gates[j], f = gates[H+j], o = gates[2*H+j], g = gates[3*H+j];
+        var tc = tanh(this.c[j]);
+        var dc = dh[j] * o * (1.0 - tc * tc) + (this.carry.dc !== null ? this.carry.dc[j] : 0.0);
+        dz[j] = dc * g * i * (1.0 - i);
+        dz[H+j] = dc * this.c_prev[j] * f * (1.0 - f);
+        dz[2*H+j] = dh[j] * tc * o * (1.0 - o);
+        dz[3*H+j] = dc * i * (1.0 - g * g);
+        dc_prev[j] = dc * f;
+      }
+      for(var j=0;j<4*H;j++) { this.b.dw[j] += dz[j]; }
+      var dh_prev = global.zeros(H);
+      backMatVec(dz, this.W.w, this.W.dw, V.w, V.dw, 0, 4*H, this.num_inputs);
+      backMatVec(dz, this.U.w, this.U.dw, this.h_prev, dh_prev, 0, 4*H, H);
+      this.carry.dh = dh_prev;
+      this.carry.dc = dc_prev;
+    }
+  });
+
+  // Gated Recurrent Unit
+  var GRULayer = function(opt) {
+    var opt = opt || {};
+    initRecurrent(this, opt, 3, 'gru');
+  }
+  GRULayer.prototype = addRecurrentMethods({
+    forward: function(V, is_training) {
+      this.in_act = V;
+      var H = this.out_depth;
+      var h_prev = this.h;
+      var z = global.zeros(3*H);
+      for(var j=0;j<3*H;j++) { z[j] = this.b.w[j]; }
+      addMatVec(z, this.W.w, V.w, 0, 3*H, this.num_inputs);
+      addMatVec(z, this.U.w, h_prev, 0, 2*H, H); // reset and update gates see the full state
+      // gate activations, in the order r, z, n
+      var gates = global.zeros(3*H);
+      for(var j=0;j<2*H;j++) { gates[j] = sigmoid(z[j]); }
+      var rh = global.zeros(H);
+      for(var j=0;j<H;j++) { rh[j] = gates[j] * h_prev[j]; }
+      addMatVec(z, this.U.w, rh, 2*H, H, H); // the candidate sees the reset state
+      for(var j=2*H;j<3*H;j++) { gates[j] = tanh(z[j]); }
+      var h = global.zeros(H);
+      for(var j=0;j<H;j++) {
+        var u = gates[H+j];
+        h[j] = (1.0 - u) * gates[2*H+j] + u * h_prev[j];
+      }
+
+      // save for backprop
+      this.h_prev = h_prev;
+      this.rh = rh;
+      this.gates = gates;
+      this.h = h;
+      var A = new Vol(1, 1, H, 0.0);
+      for(var j=0;j<H;j++) { A.w[j] = h[j]; }
+      this.out_act = A;
+      return this.out_act;
+    },
+    backward: function() {
+      var V = this.in_act;
+      var H = this.out_depth;
+      V.dw = global.zeros(V.w.length); // zero out the gradient in input Vol
+      var dh = stateGrad(this);
+      var gates = this.gates;
+      var h_prev = this.h_prev;
+      var dz = global.zeros(3*H);
+      var dh_prev = global.zeros(H);
+      for(var j=0;j<H;j++) {
+        var u = gates[H+j], n = gates[2*H+j];
+        dz[2*H+j] = dh[j] * (1.0 - u) * (1.0 - n * n);
+        dz[H+j] = dh[j] * (h_prev[j] - n) * u * (1.0 - u);
+        dh_prev[j] = dh[j] * u;
+      }
+      // through the candidate into the reset state r*h'
+      var drh = global.zeros(H);
+      backMatVec(dz, this.U.w, this.U.dw, this.rh, drh, 2*H, H, H);
+      for(var j=0;j<H;j++) {
+        var r = gates[j];
+        dz[j] = drh[j] * h_prev[j] * r * (1.0 - r);
+        dh_prev[j] += drh[j] * r;
+      }
+      for(var j=0;j<3*H;j++) { this.b.dw[j] += dz[j]; }
+      backMatVec(dz, this.W.w, this.W.dw, V.w, V.dw, 0, 3*H, this.num_inputs);
+      backMatVec(dz, this.U.w, this.U.dw, h_prev, dh_prev, 0, 2*H, H);
+      this.carry.dh = dh_prev;
+    }
+  });
+
+  global.RNNLayer = RNNLayer;
+  global.LSTMLayer = LSTMLayer;
+  global.GRULayer = GRULayer;
+})(convnetjs);
@@ -4,9 +4,92 @@
   var assert = global.assert;
 
   // Net manages a set of layers
-  // For now constraints: Simple linear order of layers, first layer input last layer a cost layer
+  // Layers form a directed acyclic graph: by default every layer takes the output
+  // of the layer before it (a simple linear order), but a layer def can name its
+  // inputs to build residual or inception style blocks. Constraints: first layer
+  // input, last layer a cost layer, and a layer may only take inputs from layers
+  // defined before it, so the order of the layers is a topological order.
   var Net = function(options) {
     this.layers = [];
+    this.inputs = []; // for every layer, the indices of the layers it takes as input
+    this.names = []; // for every layer, the name given in its def (if any)
+    this.num_consumers = []; // for every layer, how many layers take its output
+    this.loss_weights = []; // for every layer, the weight of its loss if it is a loss head
+    this.head_losses = {}; // unweighted loss of every head in the last backward(), keyed by head name
+  }
+
+  // counts for every layer how many layers take its output as their input
+  var countConsumers = function(inputs) {
+    var counts = [];
+    for(var i=0;i<inputs.length;i++) { counts.push(0); }
+    for(var i=0;i<inputs.length;i++) {
+      for(var k=0;k<inputs[i].length;k++) { counts[inputs[i][k]]++; }
+    }
+    return counts;
+  }
+
+  // shallow copy of the own fields of every layer, i.e. of the caches its forward()
+  // left for backward(). Arrays are copied because some layers refill them in place
+  // (dropout masks, pooling switches). Vols and plain objects are shared, so params,
+  // their gradients and the gradient carry of recurrent layers are not rolled back.
+  var snapshotLayers = function(layers) {
+    var snaps = [];
+    for(var i=0;i<layers.length;i++) {
+      var L = layers[i];
+      var snap = {};
+      for(var key in L) {
+        if(!L.hasOwnProperty(key)) { continue; }
+        var v = L[key];
+        if(v instanceof Float64Array) { snap[key] = new Float64Array(v); }
+        else if(v instanceof Array) { snap[key] = v.slice(); }
+        else { snap[key] = v; }
+      }
+      snaps.push(snap);
+    }
+    return snaps;
+  }
+  var restoreLayers = function(layers, snaps) {
+    for(var i=0;i<layers.length;i++) {
+      for(var key in snaps[i]) { layers[i][key] = snaps[i][key]; }
+    }
+  }
+
+  // runs the backward of all layers, last to first. runHead(i) does the backward of
+  // loss head i and returns its loss.
+  // layers write the gradient wrt their input into in_act.dw, overwriting it. So when
+  // the output of a layer is used by several layers we sum up what every one of them
+  // writes there, and hand the sum to the layer before it runs its own backward.
+  var backprop = function(net, runHead) {
+    var N = net.layers.length;
+    var acc = []; // accumulated gradients at fan-out points
+    var loss = 0.0;
+    for(var i=N-1;i>=0;i--) {
+      var L = net.layers[i];
+      if(net.num_consumers[i] > 1) { L.out_act.dw = acc[i]; }
+      if(net.num_consumers[i] === 0) {
+        loss += runHead(i); // layers nobody consumes are assumed to be loss layers
+      } else {
+        L.backward();
+      }
+      var ins = global.arrUnique(net.inputs[i]);
+      for(var k=0;k<ins.length;k++) {
+        var j = ins[k];
+        if(net.num_consumers[j] > 1) {
+          var dw = net.layers[j].out_act.dw;
+          if(typeof acc[j] === 'undefined') { acc[j] = global.zeros(dw.length); }
+          for(var q=0;q<dw.length;q++) { acc[j][q] += dw[q]; }
+        }
+      }
+    }
+    return loss;
+  }
+
+  // clears the state gradients recurrent layers hand from one time step to the one
+  // before it, so that only the steps of one backwardSequence() exchange gradients
+  var endSequences = function(net) {
+    for(var i=0;i<net.layers.length;i++) {
+      if(typeof net.layers[i].endSequence === 'function') { net.layers[i].endSequence(); }
+    }
   }
 
   /** 
@@ -17,6 +100,32 @@
    * [使用方法]
    * 定义对象, makelayers, 最后用trainer对象训练这个网络
    * 
+   * [网络拓扑]
+   * 默认每一层的输入是上一层的输出(线性网络)
+   * 层定义中可以用 name 给层命名, 用 input: 'name' 或 input: ['name1', 'name2'] 指定输入层
+   * 多输入的合并层有 add (残差相加) 和 concat (深度方向拼接), 参见convnet_layers_merge.js
+   * 例如一个残差块:
+   *    {type:'conv', sx:3, filters:8, pad:1, activation:'relu', name:'a'}
+   *    {type:'conv', sx:3, filters:8, pad:1}
+   *    {type:'add', input:['a', ...上一层...]} 
+   * 输入只能引用之前定义的层, 所以层的顺序就是拓扑顺序, forward按顺序计算, backward按逆序计算
+   * 一个层的输出被多个层使用时, backward会把各个分支传回的梯度累加
+   * 
+   * [多任务/多个loss]
+   * 输出没有被其他层使用的层都是loss头(head), 例如一个softmax分类头加一个regression回归头
+   * 有多个头时每个头都必须命名, backward(y)中的y为以头的名字为key的字典, 例如 {cls: 3, box: [0.1, 0.5]}
+   * 字典中没有给出目标值的头不参与本次训练. 每个头可以用 loss_weight 设置其loss的权重(默认为1)
+   * 总loss为各个头的loss的加权和, 各个头的loss(未加权)记录在head_losses中
+   * 
+   * [序列]
+   * 含有循环层(rnn, lstm, gru)的网络用 forwardSequence(Vs) 输入整个序列, 得到每个时间步的输出
+   * backwardSequence(ys) 随时间反向传播, ys[t]为第t步的目标值, undefined表示该步没有loss
+   * 循环层的状态在调用之间保留, 新序列开始时需调用 resetState()
+   * 
+   * [一组输入/度量学习]
+   * forwardGroup(Vs) 用同一个网络依次计算一组输入(例如孪生网络的两个输入, triplet的三个输入)
+   * backwardGroup(y) 对整组反向传播, 各次前向的梯度累加后只需一次权重更新, 参见 Trainer.trainGroup
+   * 
    *  */
   Net.prototype = {
     
@@ -29,11 +138,16 @@
 	 * 通过内嵌函数desugar()方法增加了一些必要的activation层
 	 * 
 	 * 操作规则:
-	 * 1) 当前位置前插入: [fc] => softmax/regression/svm
-	 * 2) 当前位置后插入: 任何含activation操作 => [relu/sigmoid/tanh/maxout]
+	 * 1) 当前位置前插入: [fc] => softmax/regression/svm/sigmoid_ce
+	 * 2) 当前位置后插入: 任何含activation操作 => [relu/sigmoid/tanh/maxout/leaky_relu/prelu/elu/selu/gelu/swish/softplus]
+	 *    (leaky_relu/prelu/elu 的参数取自def.alpha, swish/softplus 的参数取自def.beta)
 	 *    
 	 * 1) 事实上, softmax/regression/svm等均为分类, 这些过程之前必须有一个全连接层, 把卷积信息隔离开
+	 *    (softmax/svm/sigmoid_ce 可以通过 fc:false 关闭, 例如最后是全局池化的全卷积网络)
 	 * 2) 在层后面插入是为了简化层的定义, 程序非常灵活可以定义不同的激活层函数
+	 * 
+	 * 带权重的层(fc, conv, conv1d, deconv, rnn/lstm/gru, attention)可以用 init 选择权重初始化方法
+	 * 例如 {type:'conv', sx:3, filters:16, activation:'relu', init:'he_normal'}, 参见convnet_initializers.js
 	 **/
 
     // takes a list of layer definitions and creates the network layer objects
@@ -44,24 +158,50 @@
       assert(defs[0].type === 'input', 'Error! First layer must be the input layer, to declare size of inputs');
 
       // desugar layer_defs for adding activation, dropout layers etc
+      // also resolves the inputs of every layer into indices of the desugared list.
+      // a named def refers to the last layer it desugars into, e.g. its activation
+      var new_inputs = [];
+      var new_names = [];
+      var new_loss_weights = [];
       var desugar = function() {
         var new_defs = [];
+        var named = {}; // def name -> index in new_defs
+        var push = function(def, ins) {
+          new_defs.push(def);
+          new_inputs.push(ins);
+          new_names.push(undefined);
+          new_loss_weights.push(typeof def.loss_weight !== 'undefined' ? def.loss_weight : 1.0);
+          return new_defs.length - 1;
+        }
         for(var i=0;i<defs.length;i++) {
           var def = defs[i];
+
+          var ins;
+          if(typeof def.input !== 'undefined') {
+            var input_names = typeof def.input === 'string' ? [def.input] : def.input;
+            ins = [];
+            for(var k=0;k<input_names.length;k++) {
+              assert(named.hasOwnProperty(input_names[k]), 'Error! Unknown input layer ' + input_names[k] + ', inputs must be defined before they are used');
+              ins.push(named[input_names[k]]);
+            }
+          } else {
+            ins = new_defs.length > 0 ? [new_defs.length - 1] : []; // linear order
+          }
           
-          if(def.type==='softmax' || def.type==='svm') {
+          if((def.type==='softmax' || def.type==='svm' || def.type==='sigmoid_ce') && def.fc !== false) {
             // add an fc layer here, there is no reason the user should
-            // have to worry about this and we almost always want to
-            new_defs.push({type:'fc', num_neurons: def.num_classes});
+            // have to worry about this and we almost always want to.
+            // all-convolutional nets that end in global pooling can opt out with fc:false
+            ins = [push({type:'fc', num_neurons: def.num_classes}, ins)];
           }
 
           if(def.type==='regression') {
             // add an fc layer here, there is no reason the user should
             // have to worry about this and we almost always want to
-            new_defs.push({type:'fc', num_neurons: def.num_neurons});
+            ins = [push({type:'fc', num_neurons: def.num_neurons}, ins)];
           }
 
-          if((def.type==='fc' || def.type==='conv') 
+          if((def.type==='fc' || def.type==='conv' || def.type==='conv1d' || def.type==='deconv' || def.type==='conv_transpose') 
               && typeof(def.bias_pref) === 'undefined'){
             def.bias_pref = 0.0;
             if(typeof def.activation !== 'undefined' && def.activation === 'relu') {
@@ -71,23 +211,34 @@
             }
           }
 
-          new_defs.push(def);
+          var ix = push(def, ins);
 
           if(typeof def.activation !== 'undefined') {
-            if(def.activation==='relu') { new_defs.push({type:'relu'}); }
-            else if (def.activation==='sigmoid') { new_defs.push({type:'sigmoid'}); }
-            else if (def.activation==='tanh') { new_defs.push({type:'tanh'}); }
+            if(def.activation==='relu') { ix = push({type:'relu'}, [ix]); }
+            else if (def.activation==='sigmoid') { ix = push({type:'sigmoid'}, [ix]); }
+            else if (def.activation==='tanh') { ix = push({type:'tanh'}, [ix]); }
+            else if (def.activation==='leaky_relu' || def.activation==='prelu' || def.activation==='elu') {
+              ix = push({type:def.activation, alpha:def.alpha}, [ix]); // optional slope/scale of the negative part
+            }
+            else if (def.activation==='swish' || def.activation==='softplus') {
+              ix = push({type:def.activation, beta:def.beta}, [ix]);
+            }
+            else if (def.activation==='selu' || def.activation==='gelu') { ix = push({type:def.activation}, [ix]); }
             else if (def.activation==='maxout') {
               // create maxout activation, and pass along group size, if provided
               var gs = def.group_size !== 'undefined' ? def.group_size : 2;
-              new_defs.push({type:'maxout', group_size:gs});
+              ix = push({type:'maxout', group_size:gs}, [ix]);
             }
             else { console.log('ERROR unsupported activation ' + def.activation); }
           }
-          if(typeof def.drop_prob !== 'undefined' && def.type !== 'dropout') {
-            new_defs.push({type:'dropout', drop_prob: def.drop_prob});
+          if(typeof def.drop_prob !== 'undefined' && def.type !== 'dropout' && def.type !== 'spatial_dropout') {
+            ix = push({type:'dropout', drop_prob: def.drop_prob, mode: def.dropout_mode}, [ix]);
           }
 
+          if(typeof def.name !== 'undefined') {
+            named[def.name] = ix;
+            new_names[ix] = def.name;
+          }
         }
         return new_defs;
       }
@@ -95,32 +246,108 @@
 
       // create the layers
       this.layers = [];
+      this.inputs = new_inputs;
+      this.names = new_names;
+      this.loss_weights = new_loss_weights;
+      this.num_consumers = countConsumers(this.inputs);
+      this.head_losses = {};
       for(var i=0;i<defs.length;i++) {
         var def = defs[i];
-        if(i>0) {
-          var prev = this.layers[i-1];
+        var ins = this.inputs[i];
+        if(ins.length > 0) {
+          var prev = this.layers[ins[0]];
           def.in_sx = prev.out_sx;
           def.in_sy = prev.out_sy;
           def.in_depth = prev.out_depth;
+          // merge layers need the sizes of all of their inputs
+          def.in_sxs = [];
+          def.in_sys = [];
+          def.in_depths = [];
+          for(var k=0;k<ins.length;k++) {
+            def.in_sxs.push(this.layers[ins[k]].out_sx);
+            def.in_sys.push(this.layers[ins[k]].out_sy);
+            def.in_depths.push(this.layers[ins[k]].out_depth);
+          }
         }
 
         switch(def.type) {
           case 'fc': this.layers.push(new global.FullyConnLayer(def)); break;
+          case 'embedding': this.layers.push(new global.EmbeddingLayer(def)); break;
           case 'lrn': this.layers.push(new global.LocalResponseNormalizationLayer(def)); break;
+          case 'batchnorm': this.layers.push(new global.BatchNormLayer(def)); break;
+          case 'layernorm': this.layers.push(new global.LayerNormLayer(def)); break;
+          case 'groupnorm': this.layers.push(new global.GroupNormLayer(def)); break;
           case 'dropout': this.layers.push(new global.DropoutLayer(def)); break;
+          case 'spatial_dropout': this.layers.push(new global.SpatialDropoutLayer(def)); break;
           case 'input': this.layers.push(new global.InputLayer(def)); break;
           case 'softmax': this.layers.push(new global.SoftmaxLayer(def)); break;
           case 'regression': this.layers.push(new global.RegressionLayer(def)); break;
           case 'conv': this.layers.push(new global.ConvLayer(def)); break;
+          case 'deconv': case 'conv_transpose': this.layers.push(new global.DeconvLayer(def)); break;
+          case 'conv1d': this.layers.push(new global.Conv1DLayer(def)); break;
           case 'pool': this.layers.push(new global.PoolLayer(def)); break;
+          case 'pool1d': this.layers.push(new global.Pool1DLayer(def)); break;
           case 'relu': this.layers.push(new global.ReluLayer(def)); break;
           case 'sigmoid': this.layers.push(new global.SigmoidLayer(def)); break;
           case 'tanh': this.layers.push(new global.TanhLayer(def)); break;
           case 'maxout': this.layers.push(new global.MaxoutLayer(def)); break;
+          case 'leaky_relu': this.layers.push(new global.LeakyReluLayer(def)); break;
+          case 'prelu': this.layers.push(new global.PReluLayer(def)); break;
+          case 'elu': this.layers.push(new global.EluLayer(def)); break;
+          case 'selu': this.layers.push(new global.SeluLayer(def)); break;
+          case 'gelu': this.layers.push(new global.GeluLayer(def)); break;
+          case 'swish': this.layers.push(new global.SwishLayer(def)); break;
+          case 'softplus': this.layers.push(new global.SoftplusLayer(def)); break;
           case 'svm': this.layers.push(new global.SVMLayer(def)); break;
+          case 'sigmoid_ce': this.layers.push(new global.SigmoidCrossEntropyLayer(def)); break;
+          case 'contrastive': this.layers.push(new global.ContrastiveLayer(def)); break;
+          case 'triplet': this.layers.push(new global.TripletLayer(def)); break;
+          case 'add': this.layers.push(new global.AddLayer(def)); break;
+          case 'concat': this.layers.push(new global.ConcatLayer(def)); break;
+          case 'rnn': this.layers.push(new global.RNNLayer(def)); break;
+          case 'lstm': this.layers.push(new global.LSTMLayer(def)); break;
+          case 'gru': this.layers.push(new global.GRULayer(def)); break;
+          case 'attention': this.layers.push(new global.SelfAttentionLayer(def)); break;
           default: console.log('ERROR: UNRECOGNIZED LAYER TYPE: ' + def.type);
         }
       }
+
+      var heads = this.getHeads();
+      if(heads.length > 1) {
+        for(var i=0;i<heads.length;i++) {
+          assert(typeof this.names[heads[i]] !== 'undefined', 'Error! Every loss head of a net with several heads needs a name');
+        }
+      }
+    },
+
+    /** getHeads() - 返回所有loss头(输出没有被其他层使用的层)的下标 */
+    getHeads: function() {
+      var heads = [];
+      for(var i=0;i<this.layers.length;i++) {
+        if(this.num_consumers[i] === 0) { heads.push(i); }
+      }
+      return heads;
+    },
+
+    // runs the backward of loss head i. With several heads y is a dict of targets
+    // keyed by head name, and heads without a target contribute no gradient.
+    // The gradient the head writes into its input is scaled by its loss weight.
+    headBackward: function(i, y, multi) {
+      var L = this.layers[i];
+      var name = typeof this.names[i] !== 'undefined' ? this.names[i] : '' + i;
+      var yi = multi ? y[name] : y;
+      if(typeof yi === 'undefined') {
+        L.in_act.dw = global.zeros(L.in_act.w.length);
+        return 0.0;
+      }
+      var loss = L.backward(yi);
+      var w = this.loss_weights[i];
+      if(w !== 1.0) {
+        var dw = L.in_act.dw;
+        for(var q=0;q<dw.length;q++) { dw[q] *= w; }
+      }
+      this.head_losses[name] = loss;
+      return w * loss;
     },
 
     /** forward(V, training) - 计算前向信息
@@ -129,34 +356,192 @@
     // forward prop the network. 
     // The trainer class passes is_training = true, but when this function is
     // called from outside (not from the trainer), it defaults to prediction mode
+    // layers run in their (topological) order. Merge layers get a list of Vols
     forward: function(V, is_training) {
       if(typeof(is_training) === 'undefined') is_training = false;
-      var act = this.layers[0].forward(V, is_training);
-      for(var i=1;i<this.layers.length;i++) {
-        act = this.layers[i].forward(act, is_training);
+      var acts = [];
+      for(var i=0;i<this.layers.length;i++) {
+        var L = this.layers[i];
+        var ins = this.inputs[i];
+        var in_act;
+        if(ins.length === 0) {
+          in_act = V; // the input layer
+        } else if(L.multi_input) {
+          in_act = [];
+          for(var k=0;k<ins.length;k++) { in_act.push(acts[ins[k]]); }
+        } else {
+          in_act = acts[ins[0]];
+        }
+        acts.push(L.forward(in_act, is_training));
       }
-      return act;
+      return acts[acts.length-1];
     },
 
-    /** getCostLoss(V, y) - 获取最后一层 分类器的loss作为结果
-     * 只有最后一层的backward()才会提供loss值 */
+    /** getCostLoss(V, y) - 获取loss头 分类器的loss作为结果
+     * 只有loss头的backward()才会提供loss值, 多个头时返回加权和 */
     getCostLoss: function(V, y) {
       this.forward(V, false);
-      var N = this.layers.length;
-      var loss = this.layers[N-1].backward(y);
+      var heads = this.getHeads();
+      this.head_losses = {};
+      var loss = 0.0;
+      for(var k=0;k<heads.length;k++) {
+        loss += this.headBackward(heads[k], y, heads.length > 1);
+      }
       return loss;
     },
     
     /** backward(y) - 反向调用所有层的backward()函数, 返回loss结果 */
     // backprop: compute gradients wrt all parameters
     backward: function(y) {
-      var N = this.layers.length;
-      var loss = this.layers[N-1].backward(y); // last layer assumed to be loss layer
-      for(var i=N-2;i>=0;i--) { // first layer assumed input
-        this.layers[i].backward();
+      endSequences(this); // a single example, nothing to carry over from the last one
+      return this.backwardStep(y);
+    },
+    // backward of one forward, without touching the gradient carry of recurrent layers
+    backwardStep: function(y) {
+      var multi = this.getHeads().length > 1;
+      this.head_losses = {};
+      var self = this;
+      return backprop(this, function(i) { return self.headBackward(i, y, multi); });
+    },
+    /** resetState() - 清零所有循环层的隐藏状态, 在每个新序列开始时调用 */
+    resetState: function() {
+      for(var i=0;i<this.layers.length;i++) {
+        if(typeof this.layers[i].resetState === 'function') { this.layers[i].resetState(); }
+      }
+      this.seq_snapshots = [];
+    },
+
+    /** forwardSequence(Vs, training) - 依次对序列中的每个Vol计算前向信息, 返回每一步的输出
+     * 训练模式下会保存每一步各层的中间结果, 供backwardSequence()使用 */
+    // forward prop a whole sequence, one time step per Vol. Recurrent layers carry
+    // their state from step to step (and on to the next call, for truncated BPTT).
+    // In training mode the per-step caches of all layers are snapshotted.
+    forwardSequence: function(Vs, is_training) {
+      if(typeof(is_training) === 'undefined') is_training = false;
+      this.seq_snapshots = [];
+      var outs = [];
+      for(var t=0;t<Vs.length;t++) {
+        outs.push(this.forward(Vs[t], is_training));
+        if(is_training) { this.seq_snapshots.push(snapshotLayers(this.layers)); }
+      }
+      return outs;
+    },
+
+    /** backwardSequence(ys) - 随时间反向传播(BPTT), 返回整个序列的loss之和
+     * ys[t]是第t步的目标值(多个头时为字典), undefined表示该步不计算loss
+     * 梯度只在最近一次forwardSequence()的序列内传播, 把长序列分段输入即为截断的BPTT */
+    // backprop through time over the sequence of the last forwardSequence(). Steps run
+    // last to first, each one restores the layer caches of its forward, and recurrent
+    // layers add the gradient handed back from the step after it.
+    backwardSequence: function(ys) {
+      var snaps = this.seq_snapshots;
+      assert(typeof snaps !== 'undefined' && snaps.length > 0, 'Error! backwardSequence needs a forwardSequence in training mode first');
+      var loss = 0.0;
+      var head_losses = {};
+      endSequences(this);
+      for(var t=snaps.length-1;t>=0;t--) {
+        restoreLayers(this.layers, snaps[t]);
+        loss += this.backwardStep(ys[t]);
+        for(var name in this.head_losses) {
+          head_losses[name] = (head_losses.hasOwnProperty(name) ? head_losses[name] : 0.0) + this.head_losses[name];
+        }
+      }
+      endSequences(this);
+      restoreLayers(this.layers, snaps[snaps.length-1]); // back to the state after the last step
+      this.seq_snapshots = [];
+      this.head_losses = head_losses;
+      return loss;
+    },
+
+    /** forwardGroup(Vs, training) - 用同一个网络(共享权重)依次对一组Vol计算前向信息, 返回每个Vol的输出
+     * 训练模式下会保存每次前向时各层的中间结果, 供backwardGroup()使用 */
+    // forward prop a group of inputs through the same net, e.g. the anchor, positive
+    // and negative of a triplet. In training mode the caches of all layers are
+    // snapshotted after every forward, like forwardSequence does for time steps.
+    forwardGroup: function(Vs, is_training) {
+      if(typeof(is_training) === 'undefined') is_training = false;
+      this.group_snapshots = [];
+      var outs = [];
+      for(var t=0;t<Vs.length;t++) {
+        outs.push(this.forward(Vs[t], is_training));
+        if(is_training) { this.group_snapshots.push(snapshotLayers(this.layers)); }
+      }
+      return outs;
+    },
+
+    /** backwardGroup(y) - 对最近一次forwardGroup()的一组输入反向传播, 返回loss
+     * 度量学习的损失层(contrastive, triplet)由整组的输出计算loss, y为整组的目标值
+     * 其他loss头的y为每个输入各自的目标值列表, 即第t次前向用y[t]
+     * 多个头时y为以头的名字为key的字典, 没有目标值的头不参与本次训练
+     * 各次前向的梯度累加在参数的梯度中, 因此之后只需要一次权重更新 */
+    // backprop a group of forwards. Heads with a groupLoss() (the metric learning losses)
+    // get the outputs of all forwards at once and hand back a gradient for each of them,
+    // other heads take one target per forward. Each forward is then backpropped with its
+    // own layer caches restored, and the parameter gradients add up over the group.
+    backwardGroup: function(y) {
+      var snaps = this.group_snapshots;
+      assert(typeof snaps !== 'undefined' && snaps.length > 0, 'Error! backwardGroup needs a forwardGroup in training mode first');
+      var heads = this.getHeads();
+      var multi = heads.length > 1;
+      var loss = 0.0;
+      var head_losses = {};
+
+      // joint loss of the heads that look at the whole group
+      var group_grads = {};
+      for(var k=0;k<heads.length;k++) {
+        var i = heads[k];
+        var L = this.layers[i];
+        if(typeof L.groupLoss !== 'function') { continue; }
+        var name = typeof this.names[i] !== 'undefined' ? this.names[i] : '' + i;
+        var yi = multi ? y[name] : y;
+        if(multi && typeof yi === 'undefined') { continue; }
+        var acts = [];
+        for(var t=0;t<snaps.length;t++) { acts.push(snaps[t][i].in_act); }
+        var res = L.groupLoss(acts, yi);
+        var w = this.loss_weights[i];
+        if(w !== 1.0) {
+          for(var t=0;t<res.grads.length;t++) {
+            for(var q=0;q<res.grads[t].length;q++) { res.grads[t][q] *= w; }
+          }
+        }
+        group_grads[i] = res.grads;
+        head_losses[name] = res.loss;
+        loss += w * res.loss;
       }
+
+      var self = this;
+      for(var t=snaps.length-1;t>=0;t--) {
+        restoreLayers(this.layers, snaps[t]);
+        endSequences(this); // the forwards of a group are separate examples
+        this.head_losses = {};
+        loss += backprop(this, function(i) {
+          var L = self.layers[i];
+          if(typeof L.groupLoss === 'function') {
+            L.in_act.dw = typeof group_grads[i] !== 'undefined' ? group_grads[i][t] : global.zeros(L.in_act.w.length);
+            return 0.0;
+          }
+          var name = typeof self.names[i] !== 'undefined' ? self.names[i] : '' + i;
+          var yi = multi ? y[name] : y;
+          return self.headBackward(i, typeof yi !== 'undefined' ? yi[t] : undefined, false);
+        });
+        for(var name in this.head_losses) {
+          head_losses[name] = (head_losses.hasOwnProperty(name) ? head_losses[name] : 0.0) + this.head_losses[name];
+        }
+      }
+      endSequences(this);
+      restoreLayers(this.layers, snaps[snaps.length-1]);
+      this.group_snapshots = [];
+      this.head_losses = head_losses;
       return loss;
     },
+
+    /** endBatch() - 一个batch结束时由trainer调用, 通知需要batch统计量的层(例如batchnorm)
+     * 如果不使用Trainer而是自己调用forward/backward训练, 需要在每个batch之后手动调用 */
+    endBatch: function() {
+      for(var i=0;i<this.layers.length;i++) {
+        if(typeof this.layers[i].endBatch === 'function') { this.layers[i].endBatch(); }
+      }
+    },
     /** getParamsAndGrads() - 返回整个网络的参数和梯度信息 */
     getParamsAndGrads: function() {
       // accumulate parameters and gradients for the entire network
@@ -172,14 +557,17 @@
     /** getPrediction() - 获取预测信息
      * 简化argmax过程, 当计算完成后, 在softmax层最终结果会有一个概率权重信息
      * 函数比对权重信息， 获取最大的一个id及其概率信息
+     * svm层则比对每个类别的得分
      * 
-     * 系统将默认最后一层为softmax, 否则报错
+     * 系统将默认最后一层为softmax或svm, 否则报错
      * */
-    getPrediction: function() {
+    getPrediction: function(head) {
       // this is a convenience function for returning the argmax
-      // prediction, assuming the last layer of the net is a softmax
+      // prediction, assuming the last layer of the net is a softmax or an svm.
+      // in a net with several heads the name of a softmax/svm head can be given
       var S = this.layers[this.layers.length-1];
-      assert(S.layer_type === 'softmax', 'getPrediction function assumes softmax as last layer of the net!');
+      if(typeof head !== 'undefined') { S = this.getLayerByName(head); }
+      assert(S.layer_type === 'softmax' || S.layer_type === 'svm', 'getPrediction function assumes softmax or svm as last layer of the net!');
 
       var p = S.out_act.w;
       var maxv = p[0];
@@ -187,7 +575,31 @@
       for(var i=1;i<p.length;i++) {
         if(p[i] > maxv) { maxv = p[i]; maxi = i;}
       }
-      return maxi; // return index of the class with highest class probability
+      return maxi; // return index of the class with highest class probability (or svm score)
+    },
+    /** getPredictedLabels(threshold, head) - 多标签预测, 返回概率不低于threshold(默认0.5)的所有类别
+     * 要求最后一层(或名为head的层)为sigmoid_ce */
+    getPredictedLabels: function(threshold, head) {
+      // convenience function for multi-label nets, assuming the last layer is sigmoid_ce.
+      // returns the indices of all classes whose probability passes the threshold
+      if(typeof threshold === 'undefined') { threshold = 0.5; }
+      var S = this.layers[this.layers.length-1];
+      if(typeof head !== 'undefined') { S = this.getLayerByName(head); }
+      assert(S.layer_type === 'sigmoid_ce', 'getPredictedLabels function assumes sigmoid_ce as last layer of the net!');
+
+      var p = S.out_act.w;
+      var labels = [];
+      for(var i=0;i<p.length;i++) {
+        if(p[i] >= threshold) { labels.push(i); }
+      }
+      return labels;
+    },
+    /** getLayerByName(name) - 按层定义中的name取出层 */
+    getLayerByName: function(name) {
+      for(var i=0;i<this.names.length;i++) {
+        if(this.names[i] === name) { return this.layers[i]; }
+      }
+      assert(false, 'Error! No layer named ' + name);
     },
     toJSON: function() {
       var json = {};
@@ -195,10 +607,31 @@
       for(var i=0;i<this.layers.length;i++) {
         json.layers.push(this.layers[i].toJSON());
       }
+      json.inputs = this.inputs; // the edges of the graph
+      json.names = [];
+      for(var i=0;i<this.names.length;i++) {
+        json.names.push(typeof this.names[i] !== 'undefined' ? this.names[i] : null);
+      }
+      json.loss_weights = this.loss_weights;
       return json;
     },
     fromJSON: function(json) {
       this.layers = [];
+      this.inputs = [];
+      this.names = [];
+      this.loss_weights = [];
+      this.head_losses = {};
+      for(var i=0;i<json.layers.length;i++) {
+        this.loss_weights.push(typeof json.loss_weights !== 'undefined' ? json.loss_weights[i] : 1.0);
+        if(typeof json.inputs !== 'undefined') {
+          this.inputs.push(json.inputs[i].slice());
+        } else {
+          this.inputs.push(i > 0 ? [i-1] : []); // older dumps are linear nets
+        }
+        var name = typeof json.names !== 'undefined' ? json.names[i] : null;
+        this.names.push(name !== null ? name : undefined);
+      }
+      this.num_consumers = countConsumers(this.inputs);
       for(var i=0;i<json.layers.length;i++) {
         var Lj = json.layers[i]
         var t = Lj.layer_type;
@@ -208,14 +641,38 @@
         if(t==='sigmoid') { L = new global.SigmoidLayer(); }
         if(t==='tanh') { L = new global.TanhLayer(); }
         if(t==='dropout') { L = new global.DropoutLayer(); }
+        if(t==='spatial_dropout') { L = new global.SpatialDropoutLayer(); }
         if(t==='conv') { L = new global.ConvLayer(); }
+        if(t==='deconv') { L = new global.DeconvLayer(); }
+        if(t==='conv1d') { L = new global.Conv1DLayer(); }
         if(t==='pool') { L = new global.PoolLayer(); }
+        if(t==='pool1d') { L = new global.Pool1DLayer(); }
         if(t==='lrn') { L = new global.LocalResponseNormalizationLayer(); }
+        if(t==='batchnorm') { L = new global.BatchNormLayer(); }
+        if(t==='layernorm') { L = new global.LayerNormLayer(); }
+        if(t==='groupnorm') { L = new global.GroupNormLayer(); }
         if(t==='softmax') { L = new global.SoftmaxLayer(); }
         if(t==='regression') { L = new global.RegressionLayer(); }
         if(t==='fc') { L = new global.FullyConnLayer(); }
+        if(t==='embedding') { L = new global.EmbeddingLayer(); }
         if(t==='maxout') { L = new global.MaxoutLayer(); }
+        if(t==='leaky_relu') { L = new global.LeakyReluLayer(); }
+        if(t==='prelu') { L = new global.PReluLayer(); }
+        if(t==='elu') { L = new global.EluLayer(); }
+        if(t==='selu') { L = new global.SeluLayer(); }
+        if(t==='gelu') { L = new global.GeluLayer(); }
+        if(t==='swish') { L = new global.SwishLayer(); }
+        if(t==='softplus') { L = new global.SoftplusLayer(); }
         if(t==='svm') { L = new global.SVMLayer(); }
+        if(t==='sigmoid_ce') { L = new global.SigmoidCrossEntropyLayer(); }
+        if(t==='contrastive') { L = new global.ContrastiveLayer(); }
+        if(t==='triplet') { L = new global.TripletLayer(); }
+        if(t==='add') { L = new global.AddLayer(); }
+        if(t==='concat') { L = new global.ConcatLayer(); }
+        if(t==='rnn') { L = new global.RNNLayer(); }
+        if(t==='lstm') { L = new global.LSTMLayer(); }
+        if(t==='gru') { L = new global.GRULayer(); }
+        if(t==='attention') { L = new global.SelfAttentionLayer(); }
         L.fromJSON(Lj);
         this.layers.push(L);
       }
@@ -0,0 +1,237 @@
+(function(global) {
+  "use strict";
+  var assert = global.assert;
+
+  /**
+   * [概述]
+   * 优化器(optimizer)负责Trainer中的权重更新这一步, Trainer按照 method 的名字在注册表中查找优化器
+   * 每个优化器是一个普通对象, 需要实现以下接口:
+   *
+   *    init(trainer, n)             - 为长度为n的一组参数创建状态对象(例如 gsum, xsum 等累计量)
+   *    step(state, p, g, ctx)       - 对一组参数p进行一次更新, g中已经是加入了l1/l2衰减并除以batch_size的批梯度
+   *                                   ctx = {trainer, learning_rate, l1_decay, l2_decay, t}, t为已完成的批次数(含本次)
+   *    prepare(trainer, state, n)   - 可选, 每次更新前对整组参数的状态调用, 用于补上按需分配的数组(例如中途打开的momentum)
+   *                                   稀疏参数组只把状态的切片交给step(), 所以step()里不能再分配状态
+   *    toJSON(state) / fromJSON(json, n) - 可选, 状态的序列化, 默认把状态中的每个数组按下标拷贝, 数值等标量原样拷贝
+   *                                   (状态中有其他对象时必须自己实现, 否则toJSON报错)
+   *    decoupled_weight_decay       - 可选, 为true时Trainer不把l2衰减加入梯度, 由优化器自行处理(例如adamw)
+   *
+   * 通过 convnetjs.registerOptimizer(name, impl) 注册新的优化器后, 就可以用 {method: name} 选择它
+   */
+  // Optimizers implement the parameter update step of the Trainer. They are
+  // looked up by the trainer's method name, so custom update rules can be
+  // added with registerOptimizer() without touching the training loop.
+  var optimizers = {};
+
+  // default state serialization: copy every array of the state by index, and scalars
+  // (e.g. a step counter) as they are. typed arrays turn into objects keyed by index
+  // in JSON, same as Vol.w, so after a round trip they can't be told apart from other
+  // objects. Optimizers with object state have to serialize it themselves.
+  var isScalar = function(v) {
+    return typeof v === 'number' || typeof v === 'boolean' || typeof v === 'string' || v === null;
+  }
+  var stateToJSON = function(state) {
+    var json = {};
+    for(var key in state) {
+      if(!state.hasOwnProperty(key)) { continue; }
+      var v = state[key];
+      assert(isScalar(v) || Array.isArray(v) || v instanceof Float64Array,
+        'Error! Optimizer state ' + key + ' is neither an array nor a scalar, the optimizer needs its own toJSON/fromJSON');
+      json[key] = v;
+    }
+    return json;
+  }
+  var stateFromJSON = function(json, n) {
+    var state = {};
+    for(var key in json) {
+      if(!json.hasOwnProperty(key)) { continue; }
+      var src = json[key];
+      if(isScalar(src)) { state[key] = src; continue; }
+      var len = typeof src.length !== 'undefined' ? src.length : Object.keys(src).length;
+      if(len === 0) { state[key] = []; continue; } // conserved memory, keep it that way
+      var arr = global.zeros(n);
+      for(var i=0;i<n;i++) { arr[i] = src[i]; }
+      state[key] = arr;
+    }
+    return state;
+  }
+
+  /** registerOptimizer(name, impl) - 注册一个优化器, 同名则覆盖 */
+  var registerOptimizer = function(name, impl) {
+    assert(typeof impl.init === 'function', 'Error! Optimizer ' + name + ' must implement init()');
+    assert(typeof impl.step === 'function', 'Error! Optimizer ' + name + ' must implement step()');
+    if(typeof impl.toJSON !== 'function') { impl.toJSON = stateToJSON; }
+    if(typeof impl.fromJSON !== 'function') { impl.fromJSON = stateFromJSON; }
+    optimizers[name] = impl;
+  }
+
+  /** getOptimizer(name) - 按名字取出优化器, 未注册的名字和以前一样按sgd处理(只警告一次) */
+  // unknown methods fall back to sgd, as the trainer always did for methods it didn't know
+  var warned = {};
+  var getOptimizer = function(name) {
+    if(!optimizers.hasOwnProperty(name)) {
+      if(!warned.hasOwnProperty(name)) {
+        console.log('WARNING unknown optimizer ' + name + ', using sgd');
+        warned[name] = true;
+      }
+      return optimizers['sgd'];
+    }
+    return optimizers[name];
+  }
+
+  // vanilla sgd needs no memory, sgd with momentum keeps the last step in gsum
+  registerOptimizer('sgd', {
+    init: function(trainer, n) {
+      return {gsum: trainer.momentum > 0.0 ? global.zeros(n) : []};
+    },
+    prepare: function(trainer, state, n) {
+      if(trainer.momentum > 0.0 && state.gsum.length === 0) {
+        state.gsum = global.zeros(n); // momentum was switched on during training
+      }
+    },
+    step: function(state, p, g, ctx) {
+      var lr = ctx.learning_rate;
+      var momentum = ctx.trainer.momentum;
+      var gsumi = state.gsum;
+      for(var j=0,n=p.length;j<n;j++) {
+        if(momentum > 0.0) {
+          // momentum update
+          var dx = momentum * gsumi[j] - lr * g[j]; // step
+          gsumi[j] = dx; // back this up for next iteration of momentum
+          p[j] += dx; // apply corrected gradient
+        } else {
+          // vanilla sgd
+          p[j] +=  - lr * g[j];
+        }
+      }
+    }
+  });
+
+  registerOptimizer('adagrad', {
+    init: function(trainer, n) { return {gsum: global.zeros(n)}; },
+    step: function(state, p, g, ctx) {
+      var lr = ctx.learning_rate;
+      var eps = ctx.trainer.eps;
+      var gsumi = state.gsum;
+      for(var j=0,n=p.length;j<n;j++) {
+        gsumi[j] = gsumi[j] + g[j] * g[j];
+        var dx = - lr / Math.sqrt(gsumi[j] + eps) * g[j];
+        p[j] += dx;
+      }
+    }
+  });
+
+  // this is adagrad but with a moving window weighted average
+  // so the gradient is not accumulated over the entire history of the run.
+  // it's also referred to as Idea #1 in Zeiler paper on Adadelta. Seems reasonable to me!
+  registerOptimizer('windowgrad', {
+    init: function(trainer, n) { return {gsum: global.zeros(n)}; },
+    step: function(state, p, g, ctx) {
+      var lr = ctx.learning_rate;
+      var ro = ctx.trainer.ro;
+      var eps = ctx.trainer.eps;
+      var gsumi = state.gsum;
+      for(var j=0,n=p.length;j<n;j++) {
+        gsumi[j] = ro * gsumi[j] + (1-ro) * g[j] * g[j];
+        var dx = - lr / Math.sqrt(gsumi[j] + eps) * g[j]; // eps added for better conditioning
+        p[j] += dx;
+      }
+    }
+  });
+
+  registerOptimizer('adadelta', {
+    init: function(trainer, n) { return {gsum: global.zeros(n), xsum: global.zeros(n)}; },
+    step: function(state, p, g, ctx) {
+      var ro = ctx.trainer.ro;
+      var eps = ctx.trainer.eps;
+      var gsumi = state.gsum;
+      var xsumi = state.xsum;
+      for(var j=0,n=p.length;j<n;j++) {
+        gsumi[j] = ro * gsumi[j] + (1-ro) * g[j] * g[j];
+        var dx = - Math.sqrt((xsumi[j] + eps)/(gsumi[j] + eps)) * g[j];
+        xsumi[j] = ro * xsumi[j] + (1-ro) * dx * dx; // yes, xsum lags behind gsum by 1.
+        p[j] += dx;
+      }
+    }
+  });
+
+  registerOptimizer('nesterov', {
+    init: function(trainer, n) { return {gsum: global.zeros(n)}; },
+    step: function(state, p, g, ctx) {
+      var lr = ctx.learning_rate;
+      var momentum = ctx.trainer.momentum;
+      var gsumi = state.gsum;
+      for(var j=0,n=p.length;j<n;j++) {
+        var dx = gsumi[j];
+        gsumi[j] = gsumi[j] * momentum + lr * g[j];
+        dx = momentum * dx - (1.0 + momentum) * gsumi[j];
+        p[j] += dx;
+      }
+    }
+  });
+
+  // like windowgrad, but eps is added outside of the square root as in Hinton's lecture notes
+  registerOptimizer('rmsprop', {
+    init: function(trainer, n) { return {gsum: global.zeros(n)}; },
+    step: function(state, p, g, ctx) {
+      var lr = ctx.learning_rate;
+      var ro = ctx.trainer.ro;
+      var eps = ctx.trainer.eps;
+      var gsumi = state.gsum;
+      for(var j=0,n=p.length;j<n;j++) {
+        gsumi[j] = ro * gsumi[j] + (1-ro) * g[j] * g[j];
+        var dx = - lr * g[j] / (Math.sqrt(gsumi[j]) + eps);
+        p[j] += dx;
+      }
+    }
+  });
+
+  // the adam family shares one update. gsum holds the biased first moment,
+  // xsum the biased second moment and vmax (amsgrad only) the largest second moment seen
+  var makeAdam = function(variant) {
+    return {
+      decoupled_weight_decay: variant === 'adamw',
+      init: function(trainer, n) {
+        return {gsum: global.zeros(n), xsum: global.zeros(n), vmax: variant === 'amsgrad' ? global.zeros(n) : []};
+      },
+      step: function(state, p, g, ctx) {
+        var lr = ctx.learning_rate;
+        var beta1 = ctx.trainer.beta1;
+        var beta2 = ctx.trainer.beta2;
+        var eps = ctx.trainer.eps;
+        var bias_corr1 = 1 - Math.pow(beta1, ctx.t);
+        var bias_corr2 = 1 - Math.pow(beta2, ctx.t);
+        var gsumi = state.gsum;
+        var xsumi = state.xsum;
+        var vmaxi = state.vmax;
+        for(var j=0,n=p.length;j<n;j++) {
+          var gij = g[j];
+          gsumi[j] = beta1 * gsumi[j] + (1-beta1) * gij;
+          xsumi[j] = beta2 * xsumi[j] + (1-beta2) * gij * gij;
+          var mhat = gsumi[j] / bias_corr1;
+          var vhat = xsumi[j] / bias_corr2;
+          if(variant === 'amsgrad') {
+            // never let the effective step size grow back, keep the largest second moment seen
+            vmaxi[j] = Math.max(vmaxi[j], vhat);
+            vhat = vmaxi[j];
+          } else if(variant === 'nadam') {
+            // nesterov lookahead: blend the corrected moment with the current gradient
+            mhat = beta1 * mhat + (1-beta1) * gij / bias_corr1;
+          }
+          var dx = - lr * mhat / (Math.sqrt(vhat) + eps);
+          if(variant === 'adamw') {
+            dx -= lr * ctx.l2_decay * p[j]; // decoupled weight decay
+          }
+          p[j] += dx;
+        }
+      }
+    };
+  }
+  registerOptimizer('adam', makeAdam('adam'));
+  registerOptimizer('adamw', makeAdam('adamw'));
+  registerOptimizer('nadam', makeAdam('nadam'));
+  registerOptimizer('amsgrad', makeAdam('amsgrad'));
+
+  global.registerOptimizer = registerOptimizer;
+  global.getOptimizer = getOptimizer;
+})(convnetjs);
@@ -0,0 +1,187 @@
+(function(global) {
+  "use strict";
+  var getopt = global.getopt;
+  var assert = global.assert;
+
+  var types = ['constant', 'step', 'exp', 'cosine', 'onecycle', 'plateau'];
+
+  // checked once when a schedule is made or loaded, rate() then trusts its settings.
+  // shrinking (or empty) cosine cycles would never reach t, so restarts may only grow them
+  var checkSchedule = function(S) {
+    assert(types.indexOf(S.type) !== -1, 'Error! Unsupported learning rate schedule ' + S.type);
+    if(S.type === 'cosine') {
+      assert(S.cycle_steps >= 1, 'Error! cycle_steps of a cosine schedule must be at least 1');
+      assert(S.cycle_mult >= 1, 'Error! cycle_mult of a cosine schedule must be at least 1');
+    }
+  }
+
+  /**
+   * [概述]
+   * 学习率调度(learning rate schedule), Trainer在每次批量更新时(k % batch_size === 0)调用 rate() 得到当前学习率
+   * 调度以trainer.learning_rate为基准学习率, 因此手动修改learning_rate(例如mnist中的change_lr)仍然有效
+   *
+   * [调度类型] opt.type
+   *    'constant'  - 固定学习率(默认)
+   *    'step'      - 每 step_size 次更新乘以 gamma
+   *    'exp'       - 每次更新乘以 gamma
+   *    'cosine'    - 余弦退火到 min_lr, 周期为 cycle_steps, 每次重启后周期乘以 cycle_mult (必须 >= 1)
+   *    'onecycle'  - one-cycle: 前 pct_start 部分从 lr/div_factor 升到 lr, 之后降到 lr/div_factor/final_div_factor
+   *    'plateau'   - 通过 reportMetric(v) 报告验证指标, patience 次没有改进则乘以 factor
+   * 以上任何一种都可以通过 warmup_steps 在开始时线性预热
+   */
+  // Learning rate schedules. The Trainer asks its schedule for the rate to use
+  // every time a batch update fires. The schedule scales trainer.learning_rate,
+  // so manual changes of the base rate still take effect.
+  var LearningRateSchedule = function(opt) {
+    var opt = opt || {};
+
+    this.type = getopt(opt, 'type', 'constant');
+    this.warmup_steps = getopt(opt, 'warmup_steps', 0); // linear warmup over this many updates, for any type
+
+    // step and exp
+    this.step_size = getopt(opt, 'step_size', 1000);
+    this.gamma = getopt(opt, 'gamma', this.type === 'exp' ? 0.999 : 0.1);
+
+    // cosine annealing with restarts
+    this.cycle_steps = getopt(opt, 'cycle_steps', 1000);
+    this.cycle_mult = getopt(opt, 'cycle_mult', 1);
+    this.min_lr = getopt(opt, 'min_lr', 0.0);
+
+    // one-cycle
+    this.total_steps = getopt(opt, 'total_steps', 10000);
+    this.pct_start = getopt(opt, 'pct_start', 0.3);
+    this.div_factor = getopt(opt, 'div_factor', 25);
+    this.final_div_factor = getopt(opt, 'final_div_factor', 1e4);
+
+    // reduce on plateau
+    this.mode = getopt(opt, 'mode', 'min'); // 'min' for losses, 'max' for accuracies
+    this.factor = getopt(opt, 'factor', 0.1);
+    this.patience = getopt(opt, 'patience', 10);
+    this.threshold = getopt(opt, 'threshold', 1e-4); // relative improvement that counts as better
+    this.cooldown = getopt(opt, 'cooldown', 0);
+
+    // state of reduce on plateau, changes only through reportMetric()
+    this.scale = 1.0;
+    this.best = null;
+    this.num_bad = 0;
+    this.cooldown_left = 0;
+
+    checkSchedule(this);
+  }
+
+  LearningRateSchedule.prototype = {
+    /** rate(base_lr, t) - 第t次更新(从0开始计数)所使用的学习率 */
+    rate: function(base_lr, t) {
+      var lr;
+      switch(this.type) {
+        case 'constant': lr = base_lr; break;
+        case 'step': lr = base_lr * Math.pow(this.gamma, Math.floor(t / this.step_size)); break;
+        case 'exp': lr = base_lr * Math.pow(this.gamma, t); break;
+        case 'cosine':
+          // find our position inside the current cycle, cycles grow by cycle_mult after every restart
+          var tc = t;
+          var T = this.cycle_steps;
+          if(this.cycle_mult === 1) {
+            tc = t % T;
+          } else {
+            while(tc >= T) { tc -= T; T *= this.cycle_mult; }
+          }
+          lr = this.min_lr + 0.5 * (base_lr - this.min_lr) * (1 + Math.cos(Math.PI * tc / T));
+          break;
+        case 'onecycle':
+          var lr_start = base_lr / this.div_factor;
+          var lr_end = lr_start / this.final_div_factor;
+          var up_steps = Math.max(1, Math.floor(this.pct_start * this.total_steps));
+          var down_steps = Math.max(1, this.total_steps - up_steps);
+          if(t < up_steps) {
+            lr = lr_start + 0.5 * (base_lr - lr_start) * (1 - Math.cos(Math.PI * t / up_steps));
+          } else {
+            var td = Math.min(t - up_steps, down_steps);
+            lr = lr_end + 0.5 * (base_lr - lr_end) * (1 + Math.cos(Math.PI * td / down_steps));
+          }
+          break;
+        case 'plateau': lr = base_lr * this.scale; break;
+      }
+      if(t < this.warmup_steps) {
+        lr *= (t + 1) / this.warmup_steps;
+      }
+      return lr;
+    },
+    /** reportMetric(v) - 报告一个验证指标, 只对plateau调度起作用 */
+    reportMetric: function(v) {
+      if(this.type !== 'plateau') { return; }
+      var improved;
+      if(this.best === null) {
+        improved = true;
+      } else if(this.mode === 'max') {
+        improved = v > this.best + Math.abs(this.best) * this.threshold;
+      } else {
+        improved = v < this.best - Math.abs(this.best) * this.threshold;
+      }
+      if(improved) {
+        this.best = v;
+        this.num_bad = 0;
+      } else {
+        this.num_bad++;
+      }
+      if(this.cooldown_left > 0) {
+        this.cooldown_left--;
+        this.num_bad = 0; // ignore bad epochs during cooldown
+      }
+      if(this.num_bad > this.patience) {
+        this.scale *= this.factor;
+        this.cooldown_left = this.cooldown;
+        this.num_bad = 0;
+      }
+    },
+    toJSON: function() {
+      var json = {};
+      json.type = this.type;
+      json.warmup_steps = this.warmup_steps;
+      json.step_size = this.step_size;
+      json.gamma = this.gamma;
+      json.cycle_steps = this.cycle_steps;
+      json.cycle_mult = this.cycle_mult;
+      json.min_lr = this.min_lr;
+      json.total_steps = this.total_steps;
+      json.pct_start = this.pct_start;
+      json.div_factor = this.div_factor;
+      json.final_div_factor = this.final_div_factor;
+      json.mode = this.mode;
+      json.factor = this.factor;
+      json.patience = this.patience;
+      json.threshold = this.threshold;
+      json.cooldown = this.cooldown;
+      json.scale = this.scale;
+      json.best = this.best;
+      json.num_bad = this.num_bad;
+      json.cooldown_left = this.cooldown_left;
+      return json;
+    },
+    fromJSON: function(json) {
+      this.type = json.type;
+      this.warmup_steps = json.warmup_steps;
+      this.step_size = json.step_size;
+      this.gamma = json.gamma;
+      this.cycle_steps = json.cycle_steps;
+      this.cycle_mult = json.cycle_mult;
+      this.min_lr = json.min_lr;
+      this.total_steps = json.total_steps;
+      this.pct_start = json.pct_start;
+      this.div_factor = json.div_factor;
+      this.final_div_factor = json.final_div_factor;
+      this.mode = json.mode;
+      this.factor = json.factor;
+      this.patience = json.patience;
+      this.threshold = json.threshold;
+      this.cooldown = json.cooldown;
+      this.scale = json.scale;
+      this.best = json.best;
+      this.num_bad = json.num_bad;
+      this.cooldown_left = json.cooldown_left;
+      checkSchedule(this);
+    }
+  }
+
+  global.LearningRateSchedule = LearningRateSchedule;
+})(convnetjs);
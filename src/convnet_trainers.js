@@ -1,11 +1,24 @@
 (function(global) {
   "use strict";
   var Vol = global.Vol; // convenience
+  var assert = global.assert;
+
+  // view of the optimizer state of a param group restricted to the params start ... end-1.
+  // typed arrays share memory with the full state, so the optimizer updates it in place
+  var sliceState = function(state, start, end) {
+    var view = {};
+    for(var key in state) {
+      if(!state.hasOwnProperty(key)) { continue; }
+      var v = state[key];
+      view[key] = (v instanceof Float64Array && v.length > 0) ? v.subarray(start, end) : v;
+    }
+    return view;
+  }
 
   /** Trainer(net, options) - 训练器 构造函数
    * net - 神经网络定义(是简化版)
    * options - 设定一些基础的计算参数
-   * 构造函数同时需要初始化计数器(this.k 即epoch#), 梯度累计(gsum[]), 加速度累计(xsum[])
+   * 构造函数同时需要初始化计数器(this.k 即epoch#), 以及每组参数的优化器状态(state[], 其中包含梯度累计gsum, 加速度累计xsum等)
    */
   var Trainer = function(net, options) {
 
@@ -16,15 +29,21 @@
     this.l1_decay = typeof options.l1_decay !== 'undefined' ? options.l1_decay : 0.0;
     this.l2_decay = typeof options.l2_decay !== 'undefined' ? options.l2_decay : 0.0;
     this.batch_size = typeof options.batch_size !== 'undefined' ? options.batch_size : 1;
-    this.method = typeof options.method !== 'undefined' ? options.method : 'sgd'; // sgd/adagrad/adadelta/windowgrad/netsterov
+    this.method = typeof options.method !== 'undefined' ? options.method : 'sgd'; // sgd/adagrad/adadelta/windowgrad/netsterov/rmsprop/adam/adamw/nadam/amsgrad
 
     this.momentum = typeof options.momentum !== 'undefined' ? options.momentum : 0.9;
-    this.ro = typeof options.ro !== 'undefined' ? options.ro : 0.95; // used in adadelta
-    this.eps = typeof options.eps !== 'undefined' ? options.eps : 1e-6; // used in adadelta
+    this.ro = typeof options.ro !== 'undefined' ? options.ro : 0.95; // used in adadelta, windowgrad and rmsprop
+    this.eps = typeof options.eps !== 'undefined' ? options.eps : 1e-6; // used in adadelta and the adaptive methods
+    this.beta1 = typeof options.beta1 !== 'undefined' ? options.beta1 : 0.9; // used in adam family, decay of first moment
+    this.beta2 = typeof options.beta2 !== 'undefined' ? options.beta2 : 0.999; // used in adam family, decay of second moment
+
+    // learning rate schedule, e.g. {type:'cosine', cycle_steps:1000, warmup_steps:100}. See convnet_schedules.js
+    this.lr_schedule = new global.LearningRateSchedule(typeof options.lr_schedule !== 'undefined' ? options.lr_schedule : {});
+    this.current_learning_rate = this.learning_rate; // effective rate of the last update, reported by train()
 
     this.k = 0; // iteration counter
-    this.gsum = []; // last iteration gradients (used for momentum calculations)
-    this.xsum = []; // used in adadelta
+    this.state = []; // optimizer state (gsum, xsum etc.) for every param group, see convnet_optimizers.js
+    this.state_method = this.method; // the optimizer that the state belongs to
   }
 
   /** train(x, y) - 训练函数
@@ -39,6 +58,7 @@
    * 2. [后向计算]
    *    backward计算会针对上一层传回的梯度计算每一个节点的梯度信息
    *    net的最后一层为softmax会接收一个参数y, 其他层则将梯度后向反馈传递下去
+   *    (有多个loss头时y为以头的名字为key的字典, 每个头的loss在返回值的head_losses中)
    *    参见net的backward函数, 最终softmax层返回loss其他层完成计算
    *    
    * 3. [权重更新]
@@ -55,10 +75,17 @@
    *       l2_grad = l2_decay * weight
    *    调整梯度
    *    g' = (l2_grad + l1_grad + g)
+   *    稀疏的参数组(带有rows, 例如embedding层)只对本批次中出现过的行进行衰减和更新
    *    
    * 3.4 [权重更新]
    *    权重更新有很多种方法, 正如教程中所写: 
    *    adagrad, windowgrad, adadelta, nesterov, sgd, 及vanilla sgd
+   *    以及 rmsprop, adam, adamw, nadam, amsgrad (一阶/二阶矩分别存放在gsum/xsum中)
+   *    adam系列的偏差修正使用已完成的批次数 t = k / batch_size
+   *    adamw 采用解耦的权重衰减: l2_decay 不计入梯度, 而是直接按 learning_rate * l2_decay * weight 缩小权重
+   *    这些更新规则都以优化器的形式实现在convnet_optimizers.js中, Trainer按method的名字调用对应优化器的step()
+   *    自定义的更新规则可以通过 convnetjs.registerOptimizer(name, impl) 注册
+   *    每次更新所用的学习率由lr_schedule给出(参见convnet_schedules.js), 并作为learning_rate返回以便绘图
    *    主要还是一种物理的方式去更快更好的逼近最优值, 计算出对应的权重调整量
    *    这些方法最基础的就是sgd(simple gradient descendent) 也是默认方法
    *    比如vanilla sgd: weight = weight - this.learning_rate * g'
@@ -76,32 +103,75 @@
 
       var start = new Date().getTime();
       var cost_loss = this.net.backward(y);
-      var l2_decay_loss = 0.0;
-      var l1_decay_loss = 0.0;
       var end = new Date().getTime();
       var bwd_time = end - start;
-      
+
+      return this.step(fwd_time, bwd_time, cost_loss);
+    },
+    /** trainSequence(xs, ys) - 用一个序列训练含循环层的网络(随时间反向传播, 参见Net.backwardSequence)
+     * xs为每个时间步的输入Vol, ys[t]为第t步的目标值(undefined表示该步没有loss), 返回的cost_loss为各步loss之和
+     * 一个序列算作一个样本, 即batch_size个序列进行一次权重更新
+     * 循环层的状态不会被自动清零: 新序列开始前调用net.resetState(), 分段输入长序列即为截断的BPTT */
+    trainSequence: function(xs, ys) {
+
+      var start = new Date().getTime();
+      this.net.forwardSequence(xs, true);
+      var end = new Date().getTime();
+      var fwd_time = end - start;
+
+      var start = new Date().getTime();
+      var cost_loss = this.net.backwardSequence(ys);
+      var end = new Date().getTime();
+      var bwd_time = end - start;
+
+      return this.step(fwd_time, bwd_time, cost_loss);
+    },
+    /** trainGroup(xs, y) - 用一组输入训练共享权重的网络(参见Net.backwardGroup), 例如孪生网络或triplet
+     * xs为一组Vol, 例如 [anchor, positive, negative], y为整组的目标值(contrastive为1/0, triplet可以省略)
+     * 一组算作一个样本, 各次前向的梯度累加后在batch_size组之后进行一次权重更新 */
+    trainGroup: function(xs, y) {
+
+      var start = new Date().getTime();
+      this.net.forwardGroup(xs, true);
+      var end = new Date().getTime();
+      var fwd_time = end - start;
+
+      var start = new Date().getTime();
+      var cost_loss = this.net.backwardGroup(y);
+      var end = new Date().getTime();
+      var bwd_time = end - start;
+
+      return this.step(fwd_time, bwd_time, cost_loss);
+    },
+    // counts one example whose gradients the net has accumulated, and updates the
+    // weights once a whole batch is done. Returns the stats of train()
+    step: function(fwd_time, bwd_time, cost_loss) {
+      var l2_decay_loss = 0.0;
+      var l1_decay_loss = 0.0;
+
       this.k++;
       if(this.k % this.batch_size === 0) {
 
         var pglist = this.net.getParamsAndGrads();
+        var optimizer = global.getOptimizer(this.method);
 
-        // initialize lists for accumulators. Will only be done once on first iteration
-        if(this.gsum.length === 0 && (this.method !== 'sgd' || this.momentum > 0.0)) {
-          // only vanilla sgd doesnt need either lists
-          // momentum needs gsum
-          // adagrad needs gsum
-          // adadelta needs gsum and xsum
+        // initialize the optimizer state of every param group. Will only be done once on first iteration,
+        // or again if the method was switched to another optimizer during training
+        if(this.state.length === 0 || this.state_method !== this.method) {
+          this.state = [];
           for(var i=0;i<pglist.length;i++) {
-            this.gsum.push(global.zeros(pglist[i].params.length));
-            if(this.method === 'adadelta') {
-              this.xsum.push(global.zeros(pglist[i].params.length));
-            } else {
-              this.xsum.push([]); // conserve memory
-            }
+            this.state.push(optimizer.init(this, pglist[i].params.length));
           }
+          this.state_method = this.method;
         }
 
+        // consult the schedule with the number of updates done before this one
+        var t = this.k / this.batch_size;
+        this.current_learning_rate = this.lr_schedule.rate(this.learning_rate, t - 1);
+
+        // context handed to the optimizer, t is the number of updates done so far including this one
+        var ctx = {trainer: this, learning_rate: this.current_learning_rate, l1_decay: 0.0, l2_decay: 0.0, t: t};
+
         // perform an update for all sets of weights
         for(var i=0;i<pglist.length;i++) {
           var pg = pglist[i]; // param, gradient, other options in future (custom learning rate etc)
@@ -111,71 +181,159 @@
           // learning rate for some parameters.
           var l2_decay_mul = typeof pg.l2_decay_mul !== 'undefined' ? pg.l2_decay_mul : 1.0;
           var l1_decay_mul = typeof pg.l1_decay_mul !== 'undefined' ? pg.l1_decay_mul : 1.0;
-          var l2_decay = this.l2_decay * l2_decay_mul;
-          var l1_decay = this.l1_decay * l1_decay_mul;
-
-          var plen = p.length;
-          for(var j=0;j<plen;j++) {
-            l2_decay_loss += l2_decay*p[j]*p[j]/2; // accumulate weight decay loss
-            l1_decay_loss += l1_decay*Math.abs(p[j]);
-            var l1grad = l1_decay * (p[j] > 0 ? 1 : -1);
-            var l2grad = l2_decay * (p[j]);
-
-            var gij = (l2grad + l1grad + g[j]) / this.batch_size; // raw batch gradient
-
-            var gsumi = this.gsum[i];
-            var xsumi = this.xsum[i];
-            if(this.method === 'adagrad') {
-              // adagrad update
-              gsumi[j] = gsumi[j] + gij * gij;
-              var dx = - this.learning_rate / Math.sqrt(gsumi[j] + this.eps) * gij;
-              p[j] += dx;
-            } else if(this.method === 'windowgrad') {
-              // this is adagrad but with a moving window weighted average
-              // so the gradient is not accumulated over the entire history of the run. 
-              // it's also referred to as Idea #1 in Zeiler paper on Adadelta. Seems reasonable to me!
-              gsumi[j] = this.ro * gsumi[j] + (1-this.ro) * gij * gij;
-              var dx = - this.learning_rate / Math.sqrt(gsumi[j] + this.eps) * gij; // eps added for better conditioning
-              p[j] += dx;
-            } else if(this.method === 'adadelta') {
-              // assume adadelta if not sgd or adagrad
-              gsumi[j] = this.ro * gsumi[j] + (1-this.ro) * gij * gij;
-              var dx = - Math.sqrt((xsumi[j] + this.eps)/(gsumi[j] + this.eps)) * gij;
-              xsumi[j] = this.ro * xsumi[j] + (1-this.ro) * dx * dx; // yes, xsum lags behind gsum by 1.
-              p[j] += dx;
-            } else if(this.method === 'nesterov') {
-            	var dx = gsumi[j];
-            	gsumi[j] = gsumi[j] * this.momentum + this.learning_rate * gij;
-                dx = this.momentum * dx - (1.0 + this.momentum) * gsumi[j];
-                p[j] += dx;
-            } else {
-              // assume SGD
-              if(this.momentum > 0.0) {
-                // momentum update
-                var dx = this.momentum * gsumi[j] - this.learning_rate * gij; // step
-                gsumi[j] = dx; // back this up for next iteration of momentum
-                p[j] += dx; // apply corrected gradient
-              } else {
-                // vanilla sgd
-                p[j] +=  - this.learning_rate * gij;
-              }
+          ctx.l2_decay = this.l2_decay * l2_decay_mul;
+          ctx.l1_decay = this.l1_decay * l1_decay_mul;
+
+          // state arrays are sized on the whole group, before sparse groups get views into them
+          if(typeof optimizer.prepare === 'function') { optimizer.prepare(this, this.state[i], p.length); }
+
+          var decay_loss;
+          if(typeof pg.rows !== 'undefined') {
+            // sparse group (e.g. embedding): only the listed rows got a gradient in this batch,
+            // so only those are decayed and stepped, through views into the params and the state
+            var rs = pg.row_size;
+            for(var r=0;r<pg.rows.length;r++) {
+              var a = pg.rows[r] * rs;
+              decay_loss = this.updateGroup(optimizer, sliceState(this.state[i], a, a + rs), p.subarray(a, a + rs), g.subarray(a, a + rs), ctx);
+              l1_decay_loss += decay_loss.l1;
+              l2_decay_loss += decay_loss.l2;
             }
-            g[j] = 0.0; // zero out gradient so that we can begin accumulating anew
+          } else {
+            decay_loss = this.updateGroup(optimizer, this.state[i], p, g, ctx);
+            l1_decay_loss += decay_loss.l1;
+            l2_decay_loss += decay_loss.l2;
           }
         }
+
+        this.net.endBatch(); // e.g. batchnorm layers switch to the statistics of this batch
       }
 
-      // appending softmax_loss for backwards compatibility, but from now on we will always use cost_loss
-      // in future, TODO: have to completely redo the way loss is done around the network as currently 
-      // loss is a bit of a hack. Ideally, user should specify arbitrary number of loss functions on any layer
-      // and it should all be computed correctly and automatically. 
+      // appending softmax_loss for backwards compatibility, but from now on we will always use cost_loss.
+      // cost_loss is the weighted sum over all loss heads of the net, head_losses has the
+      // (unweighted) loss of every head by name, see Net.backward
+      var head_losses = {};
+      for(var h in this.net.head_losses) { head_losses[h] = this.net.head_losses[h]; }
       return {fwd_time: fwd_time, bwd_time: bwd_time, 
               l2_decay_loss: l2_decay_loss, l1_decay_loss: l1_decay_loss,
               cost_loss: cost_loss, softmax_loss: cost_loss, 
-              loss: cost_loss + l1_decay_loss + l2_decay_loss}
+              loss: cost_loss + l1_decay_loss + l2_decay_loss,
+              head_losses: head_losses,
+              learning_rate: this.current_learning_rate}
+    },
+    // adds the decay to the accumulated gradient g of params p, steps the optimizer
+    // and zeroes g again. Returns the weight decay losses of p
+    updateGroup: function(optimizer, state, p, g, ctx) {
+      var l2_decay_loss = 0.0;
+      var l1_decay_loss = 0.0;
+
+      // turn the accumulated gradient into the raw batch gradient, in place
+      var plen = p.length;
+      for(var j=0;j<plen;j++) {
+        l2_decay_loss += ctx.l2_decay*p[j]*p[j]/2; // accumulate weight decay loss
+        l1_decay_loss += ctx.l1_decay*Math.abs(p[j]);
+        var l1grad = ctx.l1_decay * (p[j] > 0 ? 1 : -1);
+        var l2grad = optimizer.decoupled_weight_decay ? 0.0 : ctx.l2_decay * (p[j]); // e.g. adamw decays the weights itself
+
+        g[j] = (l2grad + l1grad + g[j]) / this.batch_size; // raw batch gradient
+      }
+
+      optimizer.step(state, p, g, ctx);
+
+      for(var j=0;j<plen;j++) {
+        g[j] = 0.0; // zero out gradient so that we can begin accumulating anew
+      }
+      return {l1: l1_decay_loss, l2: l2_decay_loss};
+    },
+    /** reportMetric(v) - 报告一个验证指标(例如验证集上的loss), 供plateau学习率调度使用 */
+    reportMetric: function(v) {
+      this.lr_schedule.reportMetric(v);
+    },
+    /** toJSON() - 序列化超参数, 计数器k, 学习率调度的位置以及优化器状态(gsum, xsum等)
+     * 如果在一个batch的中途保存, 则同时保存已累计的梯度, 以便恢复后得到完全相同的更新 */
+    toJSON: function() {
+      var json = {};
+      json.learning_rate = this.learning_rate;
+      json.l1_decay = this.l1_decay;
+      json.l2_decay = this.l2_decay;
+      json.batch_size = this.batch_size;
+      json.method = this.method;
+      json.momentum = this.momentum;
+      json.ro = this.ro;
+      json.eps = this.eps;
+      json.beta1 = this.beta1;
+      json.beta2 = this.beta2;
+      json.k = this.k;
+      json.lr_schedule = this.lr_schedule.toJSON();
+      json.current_learning_rate = this.current_learning_rate;
+      json.state_method = this.state_method;
+      json.state = [];
+      if(this.state.length > 0) {
+        var optimizer = global.getOptimizer(this.state_method);
+        for(var i=0;i<this.state.length;i++) {
+          json.state.push(optimizer.toJSON(this.state[i]));
+        }
+      }
+      if(this.k % this.batch_size !== 0) {
+        // gradients are accumulating over the current batch and Vol.toJSON does not keep them
+        var pglist = this.net.getParamsAndGrads();
+        json.grads = [];
+        for(var i=0;i<pglist.length;i++) {
+          json.grads.push(pglist[i].grads);
+        }
+      }
+      return json;
+    },
+    /** fromJSON(json) - 反序列化, 需要this.net已经加载好, 用于确定每组参数的长度 */
+    fromJSON: function(json) {
+      this.learning_rate = json.learning_rate;
+      this.l1_decay = json.l1_decay;
+      this.l2_decay = json.l2_decay;
+      this.batch_size = json.batch_size;
+      this.method = json.method;
+      this.momentum = json.momentum;
+      this.ro = json.ro;
+      this.eps = json.eps;
+      this.beta1 = json.beta1;
+      this.beta2 = json.beta2;
+      this.k = json.k;
+      this.lr_schedule = new global.LearningRateSchedule();
+      this.lr_schedule.fromJSON(json.lr_schedule);
+      this.current_learning_rate = json.current_learning_rate;
+      this.state_method = json.state_method;
+      this.state = [];
+      var pglist = this.net.getParamsAndGrads();
+      if(json.state.length > 0) {
+        assert(json.state.length === pglist.length, 'Error! Trainer state does not match the parameters of the net');
+        var optimizer = global.getOptimizer(this.state_method);
+        for(var i=0;i<json.state.length;i++) {
+          this.state.push(optimizer.fromJSON(json.state[i], pglist[i].params.length));
+        }
+      }
+      if(typeof json.grads !== 'undefined') {
+        for(var i=0;i<pglist.length;i++) {
+          var g = pglist[i].grads;
+          for(var j=0;j<g.length;j++) { g[j] = json.grads[i][j]; }
+        }
+      }
     }
   }
+
+  /** saveCheckpoint(trainer) - 将网络和训练器一起保存, 可以直接JSON.stringify后写入磁盘或localStorage */
+  var saveCheckpoint = function(trainer) {
+    return {net: trainer.net.toJSON(), trainer: trainer.toJSON()};
+  }
+
+  /** loadCheckpoint(json) - 从saveCheckpoint()的结果中恢复网络和训练器, 返回trainer, 网络为trainer.net */
+  var loadCheckpoint = function(json) {
+    var net = new global.Net();
+    net.fromJSON(json.net);
+    var trainer = new Trainer(net);
+    trainer.fromJSON(json.trainer);
+    return trainer;
+  }
   
   global.Trainer = Trainer;
+  global.saveCheckpoint = saveCheckpoint;
+  global.loadCheckpoint = loadCheckpoint;
   global.SGDTrainer = Trainer; // backwards compatibility
 })(convnetjs);
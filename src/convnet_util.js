@@ -1,6 +1,35 @@
 (function(global) {
   "use strict";
 
+  /** RandomGenerator(seed) - 可设定种子的伪随机数发生器(mulberry32), random()返回[0, 1)之间的随机数
+   * 同一个种子总是产生相同的序列 */
+  // Seedable pseudo random number generator (mulberry32), 32 bits of state
+  var RandomGenerator = function(seed) {
+    this.state = (typeof seed !== 'undefined' ? seed : 0) >>> 0;
+  }
+  RandomGenerator.prototype = {
+    random: function() {
+      var t = this.state = (this.state + 0x6D2B79F5) >>> 0;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+  }
+
+  /** setSeed(seed) - 让库中所有的随机数(权重初始化, dropout, randperm, MagicNet等)都来自以seed为种子的发生器
+   * 之后同样的训练过程会得到完全相同的结果. setSeed(null) 恢复使用Math.random */
+  // every random number of the library comes from random(), which is Math.random
+  // until setSeed() installs a seeded generator
+  var generator = null;
+  var setSeed = function(seed) {
+    generator = (seed === null || typeof seed === 'undefined') ? null : new RandomGenerator(seed);
+    return_v = false; // drop the cached gaussian, it came from the old stream
+  }
+  /** random() - [0, 1)之间的随机数, 设定了种子时来自种子发生器, 否则来自Math.random */
+  var random = function() {
+    return generator !== null ? generator.random() : Math.random();
+  }
+
   // Random number utilities
   var return_v = false;
   var v_val = 0.0;
@@ -9,8 +38,8 @@
       return_v = false;
       return v_val; 
     }
-    var u = 2*Math.random()-1;
-    var v = 2*Math.random()-1;
+    var u = 2*random()-1;
+    var v = 2*random()-1;
     var r = u*u + v*v;
     if(r == 0 || r > 1) return gaussRandom();
     var c = Math.sqrt(-2*Math.log(r)/r);
@@ -21,12 +50,21 @@
   
   
   /** randf(a, b) - 产生一个范围在 [a, b] 之间的随机数 */
-  var randf = function(a, b) { return Math.random()*(b-a)+a; }
+  var randf = function(a, b) { return random()*(b-a)+a; }
   /** randi(a, b) - 产生一个范围在 [a, b] 之间的随机整数 */
-  var randi = function(a, b) { return Math.floor(Math.random()*(b-a)+a); }
+  var randi = function(a, b) { return Math.floor(random()*(b-a)+a); }
   /** randn(mu, std) - 产生一个均值为mu, 方差为std的随机数 */
   var randn = function(mu, std){ return mu+gaussRandom()*std; }
 
+  /** tanh(x) - 双曲正切, 对很大的|x|也不会溢出 */
+  // a helper function, since tanh is not yet part of ECMAScript. Will be in v6.
+  // exp() only ever sees -2|x|, so large inputs saturate at +-1 instead of giving Infinity/Infinity
+  var tanh = function(x) {
+    var y = Math.exp(-2 * Math.abs(x));
+    var t = (1 - y) / (1 + y);
+    return x < 0 ? -t : t;
+  }
+
   /** zeros(n) - 产生一个长度为n的向量 */
   // Array utilities
   var zeros = function(n) {
@@ -86,7 +124,7 @@
     var array = [];
     for(var q=0;q<n;q++)array[q]=q;
     while (i--) {
-        j = Math.floor(Math.random() * (i+1));
+        j = Math.floor(random() * (i+1));
         temp = array[i];
         array[i] = array[j];
         array[j] = temp;
@@ -138,9 +176,13 @@
     }
   }
 
+  global.RandomGenerator = RandomGenerator;
+  global.setSeed = setSeed;
+  global.random = random;
   global.randf = randf;
   global.randi = randi;
   global.randn = randn;
+  global.tanh = tanh;
   global.zeros = zeros;
   global.maxmin = maxmin;
   global.randperm = randperm;
@@ -27,6 +27,7 @@
 /** √ include: convnet_util.js */
 /** √ include: convnet_vol.js */
 /** √ include: convnet_vol_util.js */
+/** include: convnet_initializers.js */
 /** √ include: convnet_layers_dotproducts.js */
 /** √ include: convnet_layers_pool.js */
 /** √ include: convnet_layers_input.js */
@@ -34,7 +35,12 @@
 /** √ include: convnet_layers_nonlinearities.js */
 /** include: convnet_layers_dropout.js */
 /** include: convnet_layers_normalization.js */
+/** include: convnet_layers_merge.js */
+/** include: convnet_layers_recurrent.js */
+/** include: convnet_layers_attention.js */
 /** √ include: convnet_net.js */
+/** √ include: convnet_optimizers.js */
+/** √ include: convnet_schedules.js */
 /** √ include: convnet_trainers.js */
 /** include: convnet_magicnet.js */
 /** √ include: convnet_export.js */